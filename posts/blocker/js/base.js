@@ -2,10 +2,13 @@
  * base.js - Shared utilities for interactive visualizations
  *
  * Provides:
- * - Vector/matrix math
+ * - Vector/matrix/quaternion math
  * - WebGL helpers
- * - Orbit camera controls
- * - Animation loop management
+ * - Shared-context compositor (one WebGL context for many canvases)
+ * - Gesture arbiter (one owner per pointer gesture on a canvas)
+ * - Orbit camera controls (opt-in momentum, panning, zoom-to-cursor and a
+ *   trackball mode with slerped transitions between saved views)
+ * - Frame scheduler (renders only figures that are on screen)
  */
 
 // ============================================================
@@ -199,6 +202,118 @@ const Mat4 = {
   }
 };
 
+// ============================================================
+// QUATERNIONS ([x, y, z, w]; rotations are unit length)
+// ============================================================
+
+const Quat = {
+  create() {
+    return new Float32Array([0, 0, 0, 1]);
+  },
+
+  copy(out, a) {
+    out[0] = a[0];
+    out[1] = a[1];
+    out[2] = a[2];
+    out[3] = a[3];
+    return out;
+  },
+
+  // `axis` must be unit length
+  fromAxisAngle(out, axis, rad) {
+    const s = Math.sin(rad / 2);
+    out[0] = axis[0] * s;
+    out[1] = axis[1] * s;
+    out[2] = axis[2] * s;
+    out[3] = Math.cos(rad / 2);
+    return out;
+  },
+
+  // a * b: rotates by b, then by a
+  multiply(out, a, b) {
+    const ax = a[0], ay = a[1], az = a[2], aw = a[3];
+    const bx = b[0], by = b[1], bz = b[2], bw = b[3];
+    out[0] = aw * bx + ax * bw + ay * bz - az * by;
+    out[1] = aw * by - ax * bz + ay * bw + az * bx;
+    out[2] = aw * bz + ax * by - ay * bx + az * bw;
+    out[3] = aw * bw - ax * bx - ay * by - az * bz;
+    return out;
+  },
+
+  conjugate(out, a) {
+    out[0] = -a[0];
+    out[1] = -a[1];
+    out[2] = -a[2];
+    out[3] = a[3];
+    return out;
+  },
+
+  normalize(out, a) {
+    const len = Math.hypot(a[0], a[1], a[2], a[3]);
+    if (len > 0) {
+      out[0] = a[0] / len;
+      out[1] = a[1] / len;
+      out[2] = a[2] / len;
+      out[3] = a[3] / len;
+    }
+    return out;
+  },
+
+  // Along the shorter arc; nearly equal rotations are lerped instead
+  slerp(out, a, b, t) {
+    let bx = b[0], by = b[1], bz = b[2], bw = b[3];
+    let cosOmega = a[0] * bx + a[1] * by + a[2] * bz + a[3] * bw;
+    if (cosOmega < 0) {
+      cosOmega = -cosOmega;
+      bx = -bx; by = -by; bz = -bz; bw = -bw;
+    }
+
+    let scaleA = 1 - t;
+    let scaleB = t;
+    if (cosOmega < 0.9995) {
+      const omega = Math.acos(cosOmega);
+      const sinOmega = Math.sin(omega);
+      scaleA = Math.sin((1 - t) * omega) / sinOmega;
+      scaleB = Math.sin(t * omega) / sinOmega;
+    }
+
+    out[0] = scaleA * a[0] + scaleB * bx;
+    out[1] = scaleA * a[1] + scaleB * by;
+    out[2] = scaleA * a[2] + scaleB * bz;
+    out[3] = scaleA * a[3] + scaleB * bw;
+    return Quat.normalize(out, out);
+  },
+
+  // Rotates the vector v by q
+  transformVec3(out, q, v) {
+    const qx = q[0], qy = q[1], qz = q[2], qw = q[3];
+    const vx = v[0], vy = v[1], vz = v[2];
+    // t = 2 * cross(q.xyz, v); v' = v + w * t + cross(q.xyz, t)
+    const tx = 2 * (qy * vz - qz * vy);
+    const ty = 2 * (qz * vx - qx * vz);
+    const tz = 2 * (qx * vy - qy * vx);
+    out[0] = vx + qw * tx + (qy * tz - qz * ty);
+    out[1] = vy + qw * ty + (qz * tx - qx * tz);
+    out[2] = vz + qw * tz + (qx * ty - qy * tx);
+    return out;
+  },
+
+  // Rotation matrix, column-major like Mat4
+  toMat4(out, q) {
+    const x = q[0], y = q[1], z = q[2], w = q[3];
+    const x2 = x + x, y2 = y + y, z2 = z + z;
+    const xx = x * x2, yx = y * x2, yy = y * y2;
+    const zx = z * x2, zy = z * y2, zz = z * z2;
+    const wx = w * x2, wy = w * y2, wz = w * z2;
+
+    out[0] = 1 - yy - zz; out[1] = yx + wz; out[2] = zx - wy; out[3] = 0;
+    out[4] = yx - wz; out[5] = 1 - xx - zz; out[6] = zy + wx; out[7] = 0;
+    out[8] = zx + wy; out[9] = zy - wx; out[10] = 1 - xx - yy; out[11] = 0;
+    out[12] = 0; out[13] = 0; out[14] = 0; out[15] = 1;
+    return out;
+  }
+};
+
 // ============================================================
 // WEBGL HELPERS
 // ============================================================
@@ -248,10 +363,300 @@ function resizeCanvasToDisplaySize(canvas) {
   return false;
 }
 
+// ============================================================
+// SHARED CONTEXT COMPOSITOR
+// ============================================================
+
+// Browsers cap live WebGL contexts per page (often 8-16) and evict the
+// oldest, so figures draw through one offscreen context instead. Each frame
+// renders into the bottom-left corner of the shared canvas, sized to the
+// figure's canvas, and is then copied across with a 2D drawImage.
+class SharedGLCompositor {
+  constructor(contextOptions = { antialias: true }) {
+    this.canvas = document.createElement('canvas');
+    this.gl = this.canvas.getContext('webgl', contextOptions);
+    this._targets = new Map();
+    this._pending = null;
+  }
+
+  // Makes room for `canvas` and points viewport and scissor at its region
+  beginFrame(canvas) {
+    const gl = this.gl;
+    const width = canvas.width;
+    const height = canvas.height;
+
+    // Only ever grow: resizing the drawing buffer reallocates it
+    if (this.canvas.width < width || this.canvas.height < height) {
+      this.canvas.width = Math.max(this.canvas.width, width);
+      this.canvas.height = Math.max(this.canvas.height, height);
+    }
+
+    gl.viewport(0, 0, width, height);
+    gl.enable(gl.SCISSOR_TEST);
+    gl.scissor(0, 0, width, height);
+    this._pending = canvas;
+  }
+
+  // Copies the frame started by beginFrame(canvas) onto that canvas
+  present(canvas) {
+    if (this._pending !== canvas) return;
+    this._pending = null;
+
+    const width = canvas.width;
+    const height = canvas.height;
+    if (width === 0 || height === 0) return;
+
+    let ctx = this._targets.get(canvas);
+    if (!ctx) {
+      ctx = canvas.getContext('2d');
+      if (!ctx) return;
+      ctx.globalCompositeOperation = 'copy';
+      this._targets.set(canvas, ctx);
+    }
+
+    // GL rows start at the bottom, 2D rows at the top
+    const sourceY = this.canvas.height - height;
+    ctx.drawImage(this.canvas, 0, sourceY, width, height, 0, 0, width, height);
+  }
+}
+
+// ============================================================
+// GESTURE ARBITER
+// ============================================================
+
+// Movement (CSS pixels) before a press counts as a drag
+const GESTURE_SLOP_PX = 4;
+
+// Turns the pointers pressed on one element (mouse, touch or pen, kept with
+// pointer capture) into one gesture at a time, handed to whoever registered
+// for it with on(name, { begin(e), move(...), end(e, cancelled) }):
+// - 'orbit': one pointer dragged past the slop; move(dx, dy, e)
+// - 'pan': the same with the right (or pen barrel) button, if registered
+// - 'pinch': two pointers; move({ x, y, dx, dy, spread, scale }, e) with
+//   the midpoint, its movement, and the change in finger distance
+// - 'hold': a pointer kept still over something an addHold() recognizer
+//   claimed, for its delay; the recognizer then gets the moves
+// Touch drags that start out vertical are left to the browser (touch-action
+// pan-y), which scrolls the page and cancels the pointer. Once a gesture is
+// under way, later pointers are ignored until every pointer is up, except
+// that a second finger turns an orbit into a pinch.
+class GestureArbiter {
+  constructor(element) {
+    this.element = element;
+    // 'pending' (pressed, not yet decided), 'orbit', 'pan', 'pinch', 'hold',
+    // 'done' (finished, pointers still down) or null
+    this.gesture = null;
+    // Every pointer down on the element, and the ones the gesture follows
+    this._pointers = new Map();
+    this._active = [];
+    this._handlers = {};
+    this._holds = [];
+    this._holding = null;
+    // While pending: the first pointer's start, and a hold in waiting
+    this._press = null;
+    this._pinch = null;
+
+    element.style.touchAction = 'pan-y';
+    element.addEventListener('pointerdown', (e) => this._onDown(e));
+    element.addEventListener('pointermove', (e) => this._onMove(e));
+    element.addEventListener('pointerup', (e) => this._onUp(e, false));
+    element.addEventListener('pointercancel', (e) => this._onUp(e, true));
+    // The browser may still try to scroll once a gesture owns the touch
+    element.addEventListener('touchmove', (e) => {
+      if (this.gesture && this.gesture !== 'pending') e.preventDefault();
+    }, { passive: false });
+    window.addEventListener('blur', () => this.cancel());
+  }
+
+  on(name, handler) {
+    this._handlers[name] = handler;
+  }
+
+  // recognizer: { delayMs, slopPx, press(clientX, clientY), begin(target, e),
+  // move(dx, dy, e), end(e, cancelled) }. press() returns what would be
+  // held (null for nothing) and is asked on every single-pointer press.
+  addHold(recognizer) {
+    this._holds.push(recognizer);
+  }
+
+  // Ends the current gesture as cancelled and forgets the pointers down
+  cancel() {
+    this._finish(null, true);
+    for (const pointerId of this._pointers.keys()) {
+      if (this.element.hasPointerCapture && this.element.hasPointerCapture(pointerId)) {
+        this.element.releasePointerCapture(pointerId);
+      }
+    }
+    this._pointers.clear();
+    this._active = [];
+    this.gesture = null;
+  }
+
+  _onDown(e) {
+    if (e.pointerType === 'mouse' && e.button !== 0 && e.button !== 2) return;
+    this._pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (this.element.setPointerCapture) this.element.setPointerCapture(e.pointerId);
+
+    if (this._pointers.size === 1) {
+      this._startPress(e);
+    } else if (this._pointers.size === 2 && (this.gesture === 'pending' || this.gesture === 'orbit')) {
+      this._finish(e, true);
+      this._startPinch(e);
+    }
+  }
+
+  _startPress(e) {
+    this.gesture = 'pending';
+    this._active = [e.pointerId];
+    this._press = {
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      kind: e.button === 2 && this._handlers.pan ? 'pan' : 'orbit',
+      hold: null,
+    };
+
+    // Only the primary button picks things up
+    const holds = e.button === 0 ? this._holds : [];
+    for (const recognizer of holds) {
+      const target = recognizer.press(e.clientX, e.clientY);
+      if (target === null || target === undefined) continue;
+      const hold = { recognizer, target, timerId: 0 };
+      hold.timerId = window.setTimeout(() => {
+        if (this.gesture !== 'pending' || this._press.hold !== hold) return;
+        this._press.hold = null;
+        this.gesture = 'hold';
+        this._holding = recognizer;
+        recognizer.begin(target, e);
+      }, recognizer.delayMs);
+      this._press.hold = hold;
+      break;
+    }
+  }
+
+  _startPinch(e) {
+    this._active = [...this._pointers.keys()];
+    const [a, b] = this._active.map((pointerId) => this._pointers.get(pointerId));
+    this.gesture = 'pinch';
+    this._pinch = {
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2,
+      distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)),
+    };
+    const handler = this._handlers.pinch;
+    if (handler && handler.begin) handler.begin(e);
+  }
+
+  _onMove(e) {
+    const pointer = this._pointers.get(e.pointerId);
+    if (!pointer || !this._active.includes(e.pointerId)) return;
+    const dx = e.clientX - pointer.x;
+    const dy = e.clientY - pointer.y;
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+
+    if (this.gesture === 'pending') {
+      const press = this._press;
+      const slop = press.hold ? Math.max(GESTURE_SLOP_PX, press.hold.recognizer.slopPx) : GESTURE_SLOP_PX;
+      if (Math.hypot(e.clientX - press.startX, e.clientY - press.startY) <= slop) return;
+
+      this._clearHold();
+      this.gesture = press.kind;
+      const handler = this._handlers[press.kind];
+      if (handler && handler.begin) handler.begin(e);
+      // Nothing of the movement so far is lost
+      if (handler) handler.move(e.clientX - press.startX, e.clientY - press.startY, e);
+      return;
+    }
+
+    if (this.gesture === 'orbit' || this.gesture === 'pan') {
+      this._handlers[this.gesture].move(dx, dy, e);
+    } else if (this.gesture === 'hold') {
+      this._holding.move(dx, dy, e);
+    } else if (this.gesture === 'pinch') {
+      const [a, b] = this._active.map((pointerId) => this._pointers.get(pointerId));
+      const x = (a.x + b.x) / 2;
+      const y = (a.y + b.y) / 2;
+      const distance = Math.max(1, Math.hypot(a.x - b.x, a.y - b.y));
+      const pinch = {
+        x,
+        y,
+        dx: x - this._pinch.x,
+        dy: y - this._pinch.y,
+        spread: distance - this._pinch.distance,
+        scale: distance / this._pinch.distance,
+      };
+      this._pinch = { x, y, distance };
+      const handler = this._handlers.pinch;
+      if (handler) handler.move(pinch, e);
+    }
+  }
+
+  _onUp(e, cancelled) {
+    if (!this._pointers.has(e.pointerId)) return;
+    this._pointers.delete(e.pointerId);
+
+    if (this._active.includes(e.pointerId)) {
+      this._finish(e, cancelled);
+      this._active = [];
+    }
+    if (this._pointers.size === 0) this.gesture = null;
+  }
+
+  // Ends whatever gesture is under way
+  _finish(e, cancelled) {
+    const gesture = this.gesture;
+    this._clearHold();
+    this.gesture = 'done';
+    this._pinch = null;
+
+    if (gesture === 'hold') {
+      const recognizer = this._holding;
+      this._holding = null;
+      recognizer.end(e, cancelled);
+      return;
+    }
+    const handler = gesture && this._handlers[gesture];
+    if (handler && handler.end) handler.end(e, cancelled);
+  }
+
+  _clearHold() {
+    if (this._press && this._press.hold) {
+      window.clearTimeout(this._press.hold.timerId);
+      this._press.hold = null;
+    }
+  }
+}
+
 // ============================================================
 // ORBIT CAMERA
 // ============================================================
 
+// A drag that pauses this long before release leaves no momentum
+const INERTIA_IDLE_MS = 80;
+// Momentum below this (radians per second) stops
+const INERTIA_MIN_SPEED = 0.02;
+// Wheel zoom per pixel of deltaY (lines and pages are scaled to pixels)
+const WHEEL_ZOOM_RATE = 0.0015;
+// How long goToView() takes by default
+const VIEW_TRANSITION_SEC = 0.6;
+// Orbit mode keeps the view this far from straight up or down
+const MAX_PITCH = Math.PI / 2 - 0.1;
+
+// Besides dragging to orbit, three behaviours are opt-in, so figures that
+// explode on scroll and pinch keep doing so:
+// - inertia: the view keeps turning after a drag, slowing by `damping`
+//   (per second, exponential); update(dt) advances it each frame
+// - pan: right-drag, or two fingers moving together, slides the target
+//   across the screen, at most `maxPan` from where it started
+// - zoomToCursor: the wheel, trackpad pinch and touch pinch change the
+//   distance, keeping the point under the cursor (or between the fingers)
+//   in place; they no longer reach onScroll. Needs the renderer's `fovY`.
+// - trackball: the view is a quaternion turned about the screen axes, so
+//   it can look straight down or roll over the top; there is no scroll
+//   orbit. rotationX / rotationY then only set where it starts.
+// saveView() and goToView() work in both modes, slerping between views
+// (orbit mode drops any roll a view has).
 class OrbitCamera {
   constructor(canvas, options = {}) {
     this.canvas = canvas;
@@ -261,58 +666,98 @@ class OrbitCamera {
     this.rotationX = options.rotationX || 0.5; // radians
     this.rotationY = options.rotationY || 0.5;
     this.target = options.target || Vec3.create(0, 0, 0);
+    this.fovY = options.fovY || Math.PI / 4;
 
     // Scroll callback (for explode or other effects)
     this.onScroll = options.onScroll || null;
     this._captureWheel = options.captureWheel || false;
 
+    // Trackball mode keeps the orientation in a quaternion (see above)
+    this.trackball = options.trackball || false;
+    this.orientation = this._orientationFromAngles();
+
     // Scroll orbit options
-    this._scrollOrbit = options.scrollOrbit || false;
+    this._scrollOrbit = (options.scrollOrbit || false) && !this.trackball;
     this._scrollOrbitAmount = options.scrollOrbitAmount || 0.3;
 
+    // Opt-in behaviours (see above); inertia may be switched off later,
+    // e.g. for reduced motion
+    this.inertia = options.inertia || false;
+    this.damping = options.damping || 4;
+    this._pan = options.pan || false;
+    this._maxPan = options.maxPan || 3;
+    this._zoomToCursor = options.zoomToCursor || false;
+    this._home = Vec3.create(this.target[0], this.target[1], this.target[2]);
+
+    // Set while a drag is orbiting the view
     this._isDragging = false;
-    this._lastX = 0;
-    this._lastY = 0;
-    this._inputLocked = false;
+
+    // Angular velocity (radians per second) measured while dragging
+    this._velocityX = 0;
+    this._velocityY = 0;
+    this._lastMoveTime = 0;
+    this._coasting = false;
+
+    // goToView() in progress, and its length (0 jumps, e.g. for reduced
+    // motion)
+    this._transition = null;
+    this.viewTransitionSec = VIEW_TRANSITION_SEC;
+
+    // Decides what each press on the canvas becomes; renderers add their
+    // own gestures to it (see IntroRenderer)
+    this.gestures = new GestureArbiter(canvas);
 
     this._bindEvents();
   }
 
   _bindEvents() {
     const canvas = this.canvas;
+    const gestures = this.gestures;
 
-    // Mouse events
-    canvas.addEventListener('mousedown', (e) => {
-      if (this._inputLocked) return;
-      this._isDragging = true;
-      this._lastX = e.clientX;
-      this._lastY = e.clientY;
+    // Any press catches a view that is still coasting or moving to a view
+    canvas.addEventListener('pointerdown', () => {
+      this._stopCoasting();
+      this._transition = null;
     });
 
-    window.addEventListener('mousemove', (e) => {
-      if (this._inputLocked) return;
-      if (!this._isDragging) return;
-      const dx = e.clientX - this._lastX;
-      const dy = e.clientY - this._lastY;
-      this._lastX = e.clientX;
-      this._lastY = e.clientY;
-
-      this.rotationY += dx * 0.01;
-      this.rotationX += dy * 0.01;
-      this.rotationX = Math.max(-Math.PI / 2 + 0.1, Math.min(Math.PI / 2 - 0.1, this.rotationX));
+    gestures.on('orbit', {
+      begin: () => {
+        this._isDragging = true;
+      },
+      move: (dx, dy, e) => {
+        // Touch has always turned the view the other way round
+        const yaw = (e.pointerType === 'touch' ? -dx : dx) * 0.01;
+        this._turn(yaw, dy * 0.01);
+        this._trackVelocity(yaw, dy * 0.01, e.timeStamp);
+      },
+      end: (e, cancelled) => {
+        if (this._scrollOrbit) {
+          // Update base rotation so scroll orbit continues from current position
+          this._updateBaseRotation();
+        }
+        if (!cancelled) this._release(e.timeStamp);
+        this._isDragging = false;
+      },
     });
 
-    window.addEventListener('mouseup', () => {
-      if (this._inputLocked) return;
-      if (this._isDragging && this._scrollOrbit) {
-        // Update base rotation so scroll orbit continues from current position
-        this._updateBaseRotation();
-      }
-      this._isDragging = false;
+    if (this._pan) {
+      gestures.on('pan', { move: (dx, dy) => this.panBy(dx, dy) });
+      canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+    }
+
+    // Two fingers: pinch to zoom or explode, and pan if enabled
+    gestures.on('pinch', {
+      move: (pinch) => {
+        if (this._pan) this.panBy(pinch.dx, pinch.dy);
+        if (this._zoomToCursor) {
+          this.zoomAt(1 / pinch.scale, pinch.x, pinch.y);
+        } else if (this.onScroll) {
+          this.onScroll(-pinch.spread * 2);
+        }
+      },
     });
 
-    // Touch events - only capture if page is not actively scrolling
-    this._pinchDistance = 0;
+    // Page scroll state, for figures that hold still while the page moves
     this._isPageScrolling = false;
     this._scrollTimeout = null;
 
@@ -326,107 +771,31 @@ class OrbitCamera {
     };
     window.addEventListener('scroll', markScrolling, { passive: true });
 
-    canvas.addEventListener('touchstart', (e) => {
-      if (this._inputLocked) return;
-      if (e.touches.length === 1) {
-        // Record start position, but don't start dragging yet
-        this._touchStartX = e.touches[0].clientX;
-        this._touchStartY = e.touches[0].clientY;
-        this._lastX = e.touches[0].clientX;
-        this._lastY = e.touches[0].clientY;
-        this._isDragging = false;
-        this._touchDecided = false; // Haven't decided if this is drag or scroll yet
-      } else if (e.touches.length === 2) {
-        this._isDragging = false;
-        this._touchDecided = true;
-        this._pinchDistance = Math.hypot(
-          e.touches[0].clientX - e.touches[1].clientX,
-          e.touches[0].clientY - e.touches[1].clientY
-        );
-      }
-    }, { passive: true });
-
-    canvas.addEventListener('touchmove', (e) => {
-      if (this._inputLocked) return;
-      // Two fingers: pinch to zoom/explode
-      if (e.touches.length === 2) {
+    // Zoom-to-cursor takes the wheel and trackpad pinch for itself
+    if (this._zoomToCursor) {
+      canvas.addEventListener('wheel', (e) => {
+        if (gestures.gesture === 'hold') return;
         e.preventDefault();
-        const newDistance = Math.hypot(
-          e.touches[0].clientX - e.touches[1].clientX,
-          e.touches[0].clientY - e.touches[1].clientY
-        );
-        if (this._pinchDistance === 0) {
-          this._pinchDistance = newDistance;
-          return;
-        }
-        const delta = this._pinchDistance - newDistance;
-        this._pinchDistance = newDistance;
-
-        if (this.onScroll) {
-          this.onScroll(delta * 2);
-        }
-        return;
-      }
-
-      // Single finger: decide if this is rotation or scroll based on angle
-      if (e.touches.length === 1) {
-        const currentX = e.touches[0].clientX;
-        const currentY = e.touches[0].clientY;
-
-        // If we haven't decided yet, check the gesture angle
-        if (!this._touchDecided) {
-          const dx = Math.abs(currentX - this._touchStartX);
-          const dy = Math.abs(currentY - this._touchStartY);
-
-          // Need some movement to decide
-          if (dx > 5 || dy > 5) {
-            // Only rotate if gesture is >30° from vertical (tan(30°) ≈ 0.577)
-            const isHorizontalEnough = dx > dy * 0.577;
-            this._isDragging = isHorizontalEnough;
-            this._touchDecided = true;
-          }
-        }
-
-        if (this._isDragging) {
-          e.preventDefault();
-          const dx = currentX - this._lastX;
-          const dy = currentY - this._lastY;
-          this._lastX = currentX;
-          this._lastY = currentY;
-
-          this.rotationY -= dx * 0.01;
-          this.rotationX += dy * 0.01;
-          this.rotationX = Math.max(
-            -Math.PI / 2 + 0.1,
-            Math.min(Math.PI / 2 - 0.1, this.rotationX)
-          );
-        }
-      }
-    }, { passive: false });
-
-    canvas.addEventListener('touchend', () => {
-      if (this._inputLocked) return;
-      if (this._isDragging && this._scrollOrbit) {
-        // Update base rotation so scroll orbit continues from current position
-        this._updateBaseRotation();
-      }
-      this._isDragging = false;
-      this._pinchDistance = 0;
-    }, { passive: true });
+        const pixels = e.deltaY * (e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? canvas.clientHeight : 1);
+        // Trackpad pinch (ctrlKey on Mac) sends small deltas
+        const rate = e.ctrlKey ? WHEEL_ZOOM_RATE * 5 : WHEEL_ZOOM_RATE;
+        this.zoomAt(Math.exp(pixels * rate), e.clientX, e.clientY);
+      }, { passive: false });
+    }
 
     // Scroll event - only capture wheel if explicitly enabled (pinch still works via onScroll)
-    if (this.onScroll && this._captureWheel) {
+    if (this.onScroll && this._captureWheel && !this._zoomToCursor) {
       canvas.addEventListener('wheel', (e) => {
-        if (this._inputLocked) return;
+        if (gestures.gesture === 'hold') return;
         e.preventDefault();
         this.onScroll(e.deltaY);
       }, { passive: false });
     }
 
     // Trackpad pinch gesture (fires as wheel with ctrlKey on Mac)
-    if (this.onScroll) {
+    if (this.onScroll && !this._zoomToCursor) {
       canvas.addEventListener('wheel', (e) => {
-        if (this._inputLocked) return;
+        if (gestures.gesture === 'hold') return;
         if (e.ctrlKey) {
           e.preventDefault();
           this.onScroll(e.deltaY * 3);
@@ -452,8 +821,8 @@ class OrbitCamera {
       };
 
       const updateScrollOrbit = () => {
-        if (this._inputLocked) return;
-        if (this._isDragging) return; // Don't fight with user dragging
+        // Don't fight with user dragging
+        if (this._isDragging || gestures.gesture === 'hold') return;
         const normalizedPos = this._getScrollOffset();
         this.rotationY = this._baseRotationY + normalizedPos * this._scrollOrbitAmount;
       };
@@ -463,15 +832,6 @@ class OrbitCamera {
     }
   }
 
-  setInputLocked(locked) {
-    this._inputLocked = !!locked;
-    if (this._inputLocked) {
-      this._isDragging = false;
-      this._pinchDistance = 0;
-      this._touchDecided = true;
-    }
-  }
-
   isPageScrolling() {
     return !!this._isPageScrolling;
   }
@@ -480,17 +840,219 @@ class OrbitCamera {
     this.distance = Math.max(this.minDistance, Math.min(this.maxDistance, d));
   }
 
+  // Turns the view as a mouse drag would, by angles in radians (used for
+  // keyboard control)
+  rotateBy(deltaRotationY, deltaRotationX) {
+    this._transition = null;
+    this._turn(deltaRotationY, deltaRotationX);
+    if (this._scrollOrbit) this._updateBaseRotation();
+  }
+
+  // Orbit mode adds to the angles (yaw about world up, pitch clamped);
+  // trackball mode turns the same amounts about the screen's up and right
+  // axes, as one rotation
+  _turn(yaw, pitch) {
+    if (!this.trackball) {
+      this.rotationY += yaw;
+      this.rotationX = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, this.rotationX + pitch));
+      return;
+    }
+
+    const angle = Math.hypot(yaw, pitch);
+    if (angle === 0) return;
+    const turn = Quat.fromAxisAngle(Quat.create(), [-pitch / angle, yaw / angle, 0], angle);
+    Quat.normalize(this.orientation, Quat.multiply(this.orientation, this.orientation, turn));
+  }
+
+  // ---- Orientation and saved views ----
+
+  // The orbit angles as a quaternion: yaw about world up after pitching
+  // down about x
+  _orientationFromAngles() {
+    const yaw = Quat.fromAxisAngle(Quat.create(), [0, 1, 0], this.rotationY);
+    const pitch = Quat.fromAxisAngle(Quat.create(), [1, 0, 0], -this.rotationX);
+    return Quat.multiply(yaw, yaw, pitch);
+  }
+
+  getOrientation() {
+    return this.trackball ? Quat.copy(Quat.create(), this.orientation) : this._orientationFromAngles();
+  }
+
+  _setOrientation(q) {
+    if (this.trackball) {
+      Quat.normalize(this.orientation, q);
+      return;
+    }
+    const back = Quat.transformVec3(Vec3.create(), q, [0, 0, 1]);
+    this.rotationY = Math.atan2(back[0], back[2]);
+    this.rotationX = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, Math.asin(Math.max(-1, Math.min(1, back[1])))));
+    if (this._scrollOrbit) this._updateBaseRotation();
+  }
+
+  // { orientation, distance, target } for goToView()
+  saveView() {
+    return {
+      orientation: this.getOrientation(),
+      distance: this.distance,
+      target: Vec3.create(this.target[0], this.target[1], this.target[2]),
+    };
+  }
+
+  // Moves to `view` (missing fields stay as they are) over `duration`
+  // seconds, eased, as update() is called
+  goToView(view, duration = this.viewTransitionSec) {
+    this._stopCoasting();
+    const to = { ...this.saveView(), ...view };
+    this._transition = { from: this.saveView(), to, elapsed: 0, duration };
+    if (duration <= 0) this._stepTransition(0);
+  }
+
+  _stepTransition(dt) {
+    const { from, to, duration } = this._transition;
+    this._transition.elapsed += dt;
+    const t = duration > 0 ? Math.min(1, this._transition.elapsed / duration) : 1;
+    const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+
+    this._setOrientation(Quat.slerp(Quat.create(), from.orientation, to.orientation, eased));
+    this.distance = from.distance + (to.distance - from.distance) * eased;
+    for (let i = 0; i < 3; i++) {
+      this.target[i] = from.target[i] + (to.target[i] - from.target[i]) * eased;
+    }
+
+    if (t >= 1) this._transition = null;
+    return this._transition !== null;
+  }
+
+  // ---- Momentum ----
+
+  // Blends the latest drag step into the measured velocity
+  _trackVelocity(deltaRotationY, deltaRotationX, timeStamp) {
+    if (!this.inertia) return;
+    const dt = (timeStamp - this._lastMoveTime) / 1000;
+    this._lastMoveTime = timeStamp;
+    if (dt <= 0 || dt > INERTIA_IDLE_MS / 1000) {
+      this._velocityY = 0;
+      this._velocityX = 0;
+      return;
+    }
+    this._velocityY = 0.5 * this._velocityY + 0.5 * (deltaRotationY / dt);
+    this._velocityX = 0.5 * this._velocityX + 0.5 * (deltaRotationX / dt);
+  }
+
+  // Starts coasting when a drag ends, unless the pointer had come to rest
+  _release(timeStamp) {
+    if (!this.inertia) return;
+    const idle = timeStamp - this._lastMoveTime > INERTIA_IDLE_MS;
+    this._coasting = !idle && Math.hypot(this._velocityX, this._velocityY) > INERTIA_MIN_SPEED;
+  }
+
+  _stopCoasting() {
+    this._coasting = false;
+    this._velocityX = 0;
+    this._velocityY = 0;
+  }
+
+  // Advances momentum left by a drag, or a goToView() in progress; called
+  // every frame. Returns true while the view is still moving.
+  update(dt) {
+    if (this._transition) return this._stepTransition(dt);
+    if (!this._coasting) return false;
+    if (!this.inertia || this._isDragging) {
+      this._stopCoasting();
+      return false;
+    }
+
+    this._turn(this._velocityY * dt, this._velocityX * dt);
+    const decay = Math.exp(-this.damping * dt);
+    this._velocityY *= decay;
+    this._velocityX *= decay;
+    if (this._scrollOrbit) this._updateBaseRotation();
+
+    if (Math.hypot(this._velocityX, this._velocityY) < INERTIA_MIN_SPEED) this._stopCoasting();
+    return this._coasting;
+  }
+
+  // ---- Panning and zoom ----
+
+  // World-space directions of screen right, screen up and into the screen
+  getBasis() {
+    if (this.trackball) {
+      return {
+        right: Quat.transformVec3(Vec3.create(), this.orientation, [1, 0, 0]),
+        up: Quat.transformVec3(Vec3.create(), this.orientation, [0, 1, 0]),
+        forward: Quat.transformVec3(Vec3.create(), this.orientation, [0, 0, -1]),
+      };
+    }
+    const eye = this.getEyePosition();
+    const forward = Vec3.normalize(Vec3.create(), Vec3.sub(Vec3.create(), this.target, eye));
+    const right = Vec3.normalize(Vec3.create(), Vec3.cross(Vec3.create(), forward, Vec3.create(0, 1, 0)));
+    const up = Vec3.cross(Vec3.create(), right, forward);
+    return { right, up, forward };
+  }
+
+  // World units per CSS pixel on the plane through the target
+  _unitsPerPixel() {
+    const height = this.canvas.clientHeight || this.canvas.height || 1;
+    return (2 * this.distance * Math.tan(this.fovY / 2)) / height;
+  }
+
+  // Moves the target so the scene follows a drag of (dx, dy) pixels
+  panBy(dx, dy) {
+    const { right, up } = this.getBasis();
+    const units = this._unitsPerPixel();
+    for (let i = 0; i < 3; i++) {
+      this.target[i] += (-dx * right[i] + dy * up[i]) * units;
+    }
+
+    // Keep the figure within reach
+    const offset = Vec3.sub(Vec3.create(), this.target, this._home);
+    const length = Vec3.length(offset);
+    if (length > this._maxPan) {
+      Vec3.add(this.target, this._home, Vec3.scale(offset, offset, this._maxPan / length));
+    }
+  }
+
+  // Multiplies the distance by `scale` (clamped), shifting the target so the
+  // point under (clientX, clientY) stays where it is on screen
+  zoomAt(scale, clientX, clientY) {
+    const before = this.distance;
+    this.setDistance(before * scale);
+    const moved = before - this.distance;
+    if (moved === 0) return;
+
+    const rect = this.canvas.getBoundingClientRect();
+    if (rect.width <= 0 || rect.height <= 0) return;
+    // The cursor's offset from the centre, in world units per unit distance
+    const tanHalfFov = Math.tan(this.fovY / 2);
+    const sx = ((clientX - rect.left) / rect.width * 2 - 1) * tanHalfFov * (rect.width / rect.height);
+    const sy = (1 - (clientY - rect.top) / rect.height * 2) * tanHalfFov;
+
+    const { right, up } = this.getBasis();
+    const shifted = Vec3.create();
+    for (let i = 0; i < 3; i++) {
+      shifted[i] = this.target[i] + (sx * right[i] + sy * up[i]) * moved;
+    }
+    const offset = Vec3.sub(Vec3.create(), shifted, this._home);
+    if (Vec3.length(offset) <= this._maxPan) this.target.set(shifted);
+  }
+
   getViewMatrix() {
-    const eye = Vec3.create(
-      this.target[0] + this.distance * Math.cos(this.rotationX) * Math.sin(this.rotationY),
-      this.target[1] + this.distance * Math.sin(this.rotationX),
-      this.target[2] + this.distance * Math.cos(this.rotationX) * Math.cos(this.rotationY)
-    );
+    const eye = this.getEyePosition();
+    if (this.trackball) {
+      // The inverse rotation, after moving the eye to the origin
+      const inverse = Quat.conjugate(Quat.create(), this.orientation);
+      const view = Quat.toMat4(Mat4.create(), inverse);
+      return Mat4.translate(view, view, [-eye[0], -eye[1], -eye[2]]);
+    }
     const up = Vec3.create(0, 1, 0);
     return Mat4.lookAt(Mat4.create(), eye, this.target, up);
   }
 
   getEyePosition() {
+    if (this.trackball) {
+      const back = Quat.transformVec3(Vec3.create(), this.orientation, [0, 0, this.distance]);
+      return Vec3.add(back, back, this.target);
+    }
     return Vec3.create(
       this.target[0] + this.distance * Math.cos(this.rotationX) * Math.sin(this.rotationY),
       this.target[1] + this.distance * Math.sin(this.rotationX),
@@ -500,48 +1062,115 @@ class OrbitCamera {
 }
 
 // ============================================================
-// ANIMATION LOOP
+// FRAME SCHEDULER
 // ============================================================
 
-class AnimationLoop {
-  constructor(callback) {
-    this.callback = callback;
-    this.running = false;
+// One requestAnimationFrame loop for every figure on the page. A figure is
+// drawn only while its element is on screen and the tab is visible;
+// figures added with { animate: false } draw once, then again only when
+// requestFrame() is called, or for as long as their callback returns true
+// (something is still settling), with the real time between those frames.
+// The dt handed to callbacks is 0 on the first frame after a pause, so
+// animations resume where they stopped.
+class FrameScheduler {
+  constructor() {
+    this._entries = [];
     this._frame = null;
-    this._lastTime = 0;
+    this._pageVisible = !document.hidden;
+
+    this._observer = typeof IntersectionObserver !== 'undefined'
+      ? new IntersectionObserver((records) => this._onIntersect(records), { rootMargin: '100px' })
+      : null;
+
+    document.addEventListener('visibilitychange', () => {
+      this._pageVisible = !document.hidden;
+      if (this._pageVisible) this._wake();
+    });
   }
 
-  start() {
-    if (this.running) return;
-    this.running = true;
-    this._lastTime = performance.now();
-    this._loop();
+  // Returns { requestFrame(), setEnabled(enabled), remove() } for the figure
+  add(element, callback, options = {}) {
+    const entry = {
+      element,
+      callback,
+      animate: options.animate !== false,
+      enabled: true,
+      // Without IntersectionObserver every figure counts as on screen
+      onScreen: !this._observer,
+      dirty: true,
+      lastTime: null,
+    };
+    this._entries.push(entry);
+    if (this._observer) this._observer.observe(element);
+    this._wake();
+
+    return {
+      requestFrame: () => {
+        entry.dirty = true;
+        this._wake();
+      },
+      setEnabled: (enabled) => {
+        entry.enabled = enabled;
+        entry.dirty = true;
+        this._wake();
+      },
+      remove: () => {
+        this._entries = this._entries.filter((e) => e !== entry);
+        if (this._observer && !this._entries.some((e) => e.element === element)) {
+          this._observer.unobserve(element);
+        }
+      },
+    };
+  }
+
+  _isActive(entry) {
+    return this._pageVisible && entry.enabled && entry.onScreen && (entry.animate || entry.dirty);
   }
 
-  stop() {
-    this.running = false;
-    if (this._frame) {
-      cancelAnimationFrame(this._frame);
-      this._frame = null;
+  _onIntersect(records) {
+    for (const record of records) {
+      for (const entry of this._entries) {
+        if (entry.element === record.target) entry.onScreen = record.isIntersecting;
+      }
     }
+    this._wake();
+  }
+
+  _wake() {
+    if (this._frame || !this._entries.some((entry) => this._isActive(entry))) return;
+    this._frame = requestAnimationFrame((now) => this._tick(now));
   }
 
-  _loop() {
-    if (!this.running) return;
-    const now = performance.now();
-    const dt = (now - this._lastTime) / 1000;
-    this._lastTime = now;
+  _tick(now) {
+    this._frame = null;
+
+    for (const entry of this._entries.slice()) {
+      if (!this._isActive(entry)) {
+        entry.lastTime = null;
+        continue;
+      }
 
-    this.callback(dt, now / 1000);
+      const dt = entry.lastTime === null ? 0 : (now - entry.lastTime) / 1000;
+      entry.dirty = false;
+      const moving = entry.callback(dt, now / 1000) === true;
+      entry.lastTime = entry.animate || moving ? now : null;
+      if (moving) entry.dirty = true;
+    }
 
-    this._frame = requestAnimationFrame(() => this._loop());
+    this._wake();
   }
 }
 
+const frameScheduler = new FrameScheduler();
+
 // Export for use in other scripts
 window.Vec3 = Vec3;
 window.Mat4 = Mat4;
+window.Quat = Quat;
 window.createProgram = createProgram;
 window.resizeCanvasToDisplaySize = resizeCanvasToDisplaySize;
+window.SharedGLCompositor = SharedGLCompositor;
+window.GestureArbiter = GestureArbiter;
 window.OrbitCamera = OrbitCamera;
-window.AnimationLoop = AnimationLoop;
+window.FrameScheduler = FrameScheduler;
+window.frameScheduler = frameScheduler;
@@ -1,8 +1,16 @@
 /**
  * bedlam.js - Bedlam cube (4x4x4) visualization
  *
- * Adapted from blocker.js for the 4x4x4 Bedlam cube with 13 pieces.
- * Reuses base.js for WebGL utilities, orbit camera, and animation loop.
+ * The 4x4x4 Bedlam cube with 13 pieces, drawn by the renderers from
+ * blocker.js (PuzzleRenderer, IntroRenderer, setupVisualization) with the
+ * BEDLAM_PUZZLE config, so it gets the same shading, dragging and
+ * reassembly as the Soma figures.
+ * More solutions are found on demand by SolverClient (Dancing Links in
+ * solver-worker.js, see dlx.js), which needs the ROTATIONS table from
+ * blocker.js on the page. Renderers centre on the shape each solution
+ * fills (shapeCenter / solutionCells from symmetry.js). The download
+ * buttons come from export.js, the assembly instructions from
+ * instructions.js.
  */
 (function() {
 
@@ -44,245 +52,45 @@ const BEDLAM_COLORS = [
   [0.50, 0.50, 0.70], // 12: slate
 ];
 
-// ============================================================
-// SHADERS
-// ============================================================
-
-const VERTEX_SHADER = `
-  attribute vec3 aPosition;
-  attribute vec3 aNormal;
-  attribute vec3 aColor;
-
-  uniform mat4 uProjection;
-  uniform mat4 uView;
-  uniform mat4 uModel;
-
-  varying vec3 vNormal;
-  varying vec3 vColor;
-  varying vec3 vPosition;
-
-  void main() {
-    vec4 worldPos = uModel * vec4(aPosition, 1.0);
-    vPosition = worldPos.xyz;
-    vNormal = mat3(uModel) * aNormal;
-    vColor = aColor;
-    gl_Position = uProjection * uView * worldPos;
-  }
-`;
-
-const FRAGMENT_SHADER = `
-  precision mediump float;
-
-  varying vec3 vNormal;
-  varying vec3 vColor;
-  varying vec3 vPosition;
-
-  uniform vec3 uLightDir;
-  uniform vec3 uLightDir2;
-  uniform vec3 uEyePos;
-
-  void main() {
-    vec3 normal = normalize(vNormal);
-    vec3 viewDir = normalize(uEyePos - vPosition);
-
-    vec3 lightDir1 = normalize(uLightDir);
-    vec3 lightDir2 = normalize(uLightDir2);
-
-    float ambient = 0.4;
-    float diff1 = max(dot(normal, lightDir1), 0.0);
-    float diff2 = max(dot(normal, lightDir2), 0.0) * 0.5;
-
-    vec3 halfDir = normalize(lightDir1 + viewDir);
-    float spec = pow(max(dot(normal, halfDir), 0.0), 64.0) * 0.15;
-
-    float rim = 1.0 - max(dot(viewDir, normal), 0.0);
-    rim = smoothstep(0.4, 1.0, rim) * 0.15;
-
-    vec3 result = vColor * (ambient + diff1 * 0.5 + diff2 * 0.25) + vec3(spec + rim);
-    result = pow(result, vec3(0.95));
-
-    gl_FragColor = vec4(result, 1.0);
-  }
-`;
-
-// ============================================================
-// CUBE GEOMETRY
-// ============================================================
+// For screen-reader descriptions
+const BEDLAM_PIECE_NAMES = [
+  'little corner', 'long stick', 'hat', 'bucket', 'screw', 'twist', 'signpost',
+  'ducktail', 'plane', 'bridge', 'staircase', 'spikey zag', 'middle zig',
+];
+const BEDLAM_COLOR_NAMES = [
+  'red', 'green', 'blue', 'yellow', 'magenta', 'cyan', 'orange',
+  'purple', 'lime', 'pink', 'teal', 'gold', 'slate',
+];
 
-function createCubeGeometry() {
-  const s = 0.45;
-  const positions = [];
-  const normals = [];
-
-  const faces = [
-    { verts: [[-s,-s,s], [s,-s,s], [s,s,s], [-s,-s,s], [s,s,s], [-s,s,s]], normal: [0,0,1] },
-    { verts: [[s,-s,-s], [-s,-s,-s], [-s,s,-s], [s,-s,-s], [-s,s,-s], [s,s,-s]], normal: [0,0,-1] },
-    { verts: [[-s,s,s], [s,s,s], [s,s,-s], [-s,s,s], [s,s,-s], [-s,s,-s]], normal: [0,1,0] },
-    { verts: [[-s,-s,-s], [s,-s,-s], [s,-s,s], [-s,-s,-s], [s,-s,s], [-s,-s,s]], normal: [0,-1,0] },
-    { verts: [[s,-s,s], [s,-s,-s], [s,s,-s], [s,-s,s], [s,s,-s], [s,s,s]], normal: [1,0,0] },
-    { verts: [[-s,-s,-s], [-s,-s,s], [-s,s,s], [-s,-s,-s], [-s,s,s], [-s,s,-s]], normal: [-1,0,0] },
-  ];
-
-  for (const face of faces) {
-    for (const vert of face.verts) {
-      positions.push(...vert);
-      normals.push(...face.normal);
-    }
-  }
-
-  return {
-    positions: new Float32Array(positions),
-    normals: new Float32Array(normals),
-    vertexCount: 36
-  };
-}
+// Solutions stream in from the worker and are appended to BEDLAM_SOLUTIONS,
+// so renderers holding this list see them as they arrive
+const BEDLAM_PUZZLE = {
+  name: 'Bedlam',
+  pieces: BEDLAM_PIECES,
+  pieceNames: BEDLAM_PIECE_NAMES,
+  colors: BEDLAM_COLORS,
+  colorNames: BEDLAM_COLOR_NAMES,
+  dims: [4, 4, 4],
+  solutions: BEDLAM_SOLUTIONS,
+};
 
 // ============================================================
 // BEDLAM RENDERER
 // ============================================================
 
-class BedlamRenderer {
+// The Soma intro renderer with the Bedlam set: drag pieces apart, watch
+// them settle back and reassemble. Explodes a little further for the bigger
+// cube.
+class BedlamRenderer extends IntroRenderer {
   constructor(canvas, options = {}) {
-    this.canvas = canvas;
-    this.gl = canvas.getContext('webgl', { antialias: true });
-    if (!this.gl) {
-      console.error('WebGL not supported');
-      return;
-    }
-
-    this.explodeAmount = 0;
-    this.currentSolution = 0;
-
-    // 4x4x4 grid center is at 1.5, 1.5, 1.5
-    this.gridCenter = 1.5;
-
-    this.camera = new OrbitCamera(canvas, {
-      distance: options.distance || 10,
-      rotationX: options.rotationX || 0.4,
-      rotationY: options.rotationY || 0.8,
-      minDistance: options.minDistance || 4,
-      maxDistance: options.maxDistance || 20,
-      scrollOrbit: true,
-      scrollOrbitAmount: 0.3,
-      onScroll: (deltaY) => {
-        this.explodeAmount -= deltaY * 0.002;
-        this.explodeAmount = Math.max(0, Math.min(3, this.explodeAmount));
-      }
+    super(canvas, {
+      enablePinchExplode: true,
+      minDistance: 4,
+      maxDistance: 20,
+      maxExplode: 3,
+      ...options,
+      puzzle: BEDLAM_PUZZLE,
     });
-
-    this._initGL();
-    this._initGeometry();
-  }
-
-  _initGL() {
-    const gl = this.gl;
-
-    this.program = createProgram(gl, VERTEX_SHADER, FRAGMENT_SHADER);
-    if (!this.program) return;
-
-    this.aPosition = gl.getAttribLocation(this.program, 'aPosition');
-    this.aNormal = gl.getAttribLocation(this.program, 'aNormal');
-    this.aColor = gl.getAttribLocation(this.program, 'aColor');
-
-    this.uProjection = gl.getUniformLocation(this.program, 'uProjection');
-    this.uView = gl.getUniformLocation(this.program, 'uView');
-    this.uModel = gl.getUniformLocation(this.program, 'uModel');
-    this.uLightDir = gl.getUniformLocation(this.program, 'uLightDir');
-    this.uLightDir2 = gl.getUniformLocation(this.program, 'uLightDir2');
-    this.uEyePos = gl.getUniformLocation(this.program, 'uEyePos');
-
-    gl.enable(gl.DEPTH_TEST);
-    gl.enable(gl.CULL_FACE);
-    gl.clearColor(0.96, 0.96, 0.96, 1.0);
-  }
-
-  _initGeometry() {
-    const gl = this.gl;
-    const cube = createCubeGeometry();
-
-    this.cubeVertexCount = cube.vertexCount;
-
-    this.positionBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, cube.positions, gl.STATIC_DRAW);
-
-    this.normalBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.normalBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, cube.normals, gl.STATIC_DRAW);
-  }
-
-  setSolution(index) {
-    this.currentSolution = index;
-  }
-
-  setExplode(amount) {
-    this.explodeAmount = amount;
-  }
-
-  render() {
-    const gl = this.gl;
-    if (!gl || !this.program) return;
-
-    resizeCanvasToDisplaySize(this.canvas);
-    gl.viewport(0, 0, this.canvas.width, this.canvas.height);
-    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
-
-    gl.useProgram(this.program);
-
-    const aspect = this.canvas.width / this.canvas.height;
-    const projection = Mat4.perspective(Mat4.create(), Math.PI / 4, aspect, 0.1, 100);
-    const view = this.camera.getViewMatrix();
-    const eyePos = this.camera.getEyePosition();
-
-    gl.uniformMatrix4fv(this.uProjection, false, projection);
-    gl.uniformMatrix4fv(this.uView, false, view);
-    gl.uniform3f(this.uLightDir, 0.7, 1.0, 0.5);
-    gl.uniform3f(this.uLightDir2, -0.5, 0.3, 0.8);
-    gl.uniform3fv(this.uEyePos, eyePos);
-
-    const solution = BEDLAM_SOLUTIONS[this.currentSolution];
-    const center = this.gridCenter;
-
-    for (const [pieceIndex, cubes] of solution) {
-      const color = BEDLAM_COLORS[pieceIndex];
-
-      // Compute piece centroid
-      let cx = 0, cy = 0, cz = 0;
-      for (const [x, y, z] of cubes) {
-        cx += x; cy += y; cz += z;
-      }
-      cx /= cubes.length;
-      cy /= cubes.length;
-      cz /= cubes.length;
-
-      // Explosion direction from grid center
-      const dx = cx - center, dy = cy - center, dz = cz - center;
-      const len = Math.sqrt(dx*dx + dy*dy + dz*dz) || 1;
-      const ex = dx / len, ey = dy / len, ez = dz / len;
-
-      for (const [x, y, z] of cubes) {
-        const px = (x - center) + ex * this.explodeAmount;
-        const py = (y - center) + ey * this.explodeAmount;
-        const pz = (z - center) + ez * this.explodeAmount;
-
-        const model = Mat4.create();
-        Mat4.translate(model, model, Vec3.create(px, py, pz));
-        gl.uniformMatrix4fv(this.uModel, false, model);
-
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
-        gl.enableVertexAttribArray(this.aPosition);
-        gl.vertexAttribPointer(this.aPosition, 3, gl.FLOAT, false, 0, 0);
-
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.normalBuffer);
-        gl.enableVertexAttribArray(this.aNormal);
-        gl.vertexAttribPointer(this.aNormal, 3, gl.FLOAT, false, 0, 0);
-
-        gl.disableVertexAttribArray(this.aColor);
-        gl.vertexAttrib3f(this.aColor, color[0], color[1], color[2]);
-
-        gl.drawArrays(gl.TRIANGLES, 0, this.cubeVertexCount);
-      }
-    }
   }
 }
 
@@ -294,16 +102,19 @@ function easeInOut(t) {
   return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
 }
 
-class BedlamAnimatedRenderer {
+class BedlamAnimatedRenderer extends PuzzleRenderer {
   constructor(canvas, options = {}) {
-    this.canvas = canvas;
-    this.gl = canvas.getContext('webgl', { antialias: true });
-    if (!this.gl) return;
+    super(canvas, {
+      minDistance: 4,
+      maxDistance: 25,
+      ...options,
+      puzzle: BEDLAM_PUZZLE,
+    });
 
-    this.gridCenter = 1.5;
     this.time = 0;
+    this.solutionIndex = 0;
 
-    this.numPieces = 13;
+    this.numPieces = this.puzzle.pieces.length;
     this.pieceDuration = 0.35;
     this.staggerDelay = 0.1;
     this.explodeDistance = 2.5;
@@ -314,107 +125,104 @@ class BedlamAnimatedRenderer {
     // Per solution: hold + fly out + transition + fly in
     this.cycleTime = this.holdTime + this.flyTime + this.transitionTime + this.flyTime;
 
-    this.camera = new OrbitCamera(canvas, {
-      distance: options.distance || 10,
-      rotationX: options.rotationX || 0.4,
-      rotationY: options.rotationY || 0.8,
-      minDistance: 4,
-      maxDistance: 25,
-      scrollOrbit: true,
-      scrollOrbitAmount: 0.3,
-    });
-
-    this._initGL();
-    this._initGeometry();
     this._precomputeAll();
   }
 
-  _initGL() {
-    const gl = this.gl;
-    this.program = createProgram(gl, VERTEX_SHADER, FRAGMENT_SHADER);
-    if (!this.program) return;
-
-    this.aPosition = gl.getAttribLocation(this.program, 'aPosition');
-    this.aNormal = gl.getAttribLocation(this.program, 'aNormal');
-    this.aColor = gl.getAttribLocation(this.program, 'aColor');
-    this.uProjection = gl.getUniformLocation(this.program, 'uProjection');
-    this.uView = gl.getUniformLocation(this.program, 'uView');
-    this.uModel = gl.getUniformLocation(this.program, 'uModel');
-    this.uLightDir = gl.getUniformLocation(this.program, 'uLightDir');
-    this.uLightDir2 = gl.getUniformLocation(this.program, 'uLightDir2');
-    this.uEyePos = gl.getUniformLocation(this.program, 'uEyePos');
-
-    gl.enable(gl.DEPTH_TEST);
-    gl.enable(gl.CULL_FACE);
-    gl.clearColor(0.96, 0.96, 0.96, 1.0);
-  }
-
-  _initGeometry() {
-    const gl = this.gl;
-    const cube = createCubeGeometry();
-    this.cubeVertexCount = cube.vertexCount;
-
-    this.positionBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, cube.positions, gl.STATIC_DRAW);
-
-    this.normalBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.normalBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, cube.normals, gl.STATIC_DRAW);
+  _precomputeAll() {
+    this.solutionData = [];
+    this.addSolutions(this.puzzle.solutions);
   }
 
-  _precomputeAll() {
-    const center = this.gridCenter;
+  // Appends solutions to the cycle; the one currently on screen is unaffected
+  addSolutions(solutions) {
     const dist = this.explodeDistance;
 
-    // For each solution, build lookup by pieceIndex with assembled + exploded positions
-    this.solutionData = BEDLAM_SOLUTIONS.map(solution => {
+    // For each solution, build lookup by pieceIndex with assembled + exploded
+    // positions, centred on the shape that solution fills
+    const added = solutions.map(solution => {
+      const [sx, sy, sz] = shapeCenter(solutionCells(solution));
       const byPiece = {};
       for (const [pieceIndex, cubes] of solution) {
         let cx = 0, cy = 0, cz = 0;
         for (const [x, y, z] of cubes) { cx += x; cy += y; cz += z; }
         cx /= cubes.length; cy /= cubes.length; cz /= cubes.length;
 
-        const dx = cx - center, dy = cy - center, dz = cz - center;
+        const dx = cx - sx, dy = cy - sy, dz = cz - sz;
         const len = Math.sqrt(dx*dx + dy*dy + dz*dz) || 1;
         const dirX = dx / len * dist, dirY = dy / len * dist, dirZ = dz / len * dist;
 
         byPiece[pieceIndex] = cubes.map(([x, y, z]) => ({
-          ax: x - center, ay: y - center, az: z - center,
-          ex: (x - center) + dirX, ey: (y - center) + dirY, ez: (z - center) + dirZ,
+          ax: x - sx, ay: y - sy, az: z - sz,
+          ex: (x - sx) + dirX, ey: (y - sy) + dirY, ez: (z - sz) + dirZ,
         }));
       }
       return byPiece;
     });
+
+    this.solutionData.push(...added);
   }
 
-  render(dt) {
-    const gl = this.gl;
-    if (!gl || !this.program) return;
+  describe() {
+    return `The ${this.numPieces} Bedlam pieces flying apart and back together, `
+      + `solution ${this.solutionIndex + 1} of ${this.solutionData.length}.`;
+  }
 
-    this.time += dt;
+  // How far (0-1) the piece in stagger slot `slot` has flown, `elapsed`
+  // seconds after the first piece set off
+  _flyOutProgress(slot, elapsed) {
+    const start = slot * this.staggerDelay;
+    if (elapsed <= start) return 0;
+    if (elapsed >= start + this.pieceDuration) return 1;
+    return easeInOut((elapsed - start) / this.pieceDuration);
+  }
 
-    resizeCanvasToDisplaySize(this.canvas);
-    gl.viewport(0, 0, this.canvas.width, this.canvas.height);
-    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+  // The solution on screen for exporters (see export.js), assembled, with
+  // offsetAt() replaying its staggered fly-out and fly-in
+  getExplodeScene() {
+    const current = this.solutionData[this.solutionIndex];
+    const flyInStart = this.holdTime + this.flyTime + this.transitionTime;
+    const directions = [];
+    const pieces = [];
 
-    gl.useProgram(this.program);
+    for (let pieceIndex = 0; pieceIndex < this.numPieces; pieceIndex++) {
+      const cubes = current[pieceIndex];
+      // Every cube of a piece moves by the same amount
+      const { ax, ay, az, ex, ey, ez } = cubes[0];
+      directions.push([ex - ax, ey - ay, ez - az]);
+      pieces.push({
+        pieceIndex,
+        color: this._getPieceColor(pieceIndex),
+        cubes: cubes.map((cube) => [cube.ax, cube.ay, cube.az]),
+        offset: ZERO_OFFSET,
+      });
+    }
 
-    const aspect = this.canvas.width / this.canvas.height;
-    const projection = Mat4.perspective(Mat4.create(), Math.PI / 4, aspect, 0.1, 100);
-    const view = this.camera.getViewMatrix();
-    const eyePos = this.camera.getEyePosition();
+    return {
+      pieces,
+      duration: flyInStart + this.flyTime,
+      offsetAt: (i, time) => {
+        const t = time < flyInStart
+          ? this._flyOutProgress(i, time - this.holdTime)
+          : 1 - this._flyOutProgress(this.numPieces - 1 - i, time - flyInStart);
+        return directions[i].map((d) => d * t);
+      },
+    };
+  }
 
-    gl.uniformMatrix4fv(this.uProjection, false, projection);
-    gl.uniformMatrix4fv(this.uView, false, view);
-    gl.uniform3f(this.uLightDir, 0.7, 1.0, 0.5);
-    gl.uniform3f(this.uLightDir2, -0.5, 0.3, 0.8);
-    gl.uniform3fv(this.uEyePos, eyePos);
+  render() {
+    if (!this._setupFrame()) return;
+
+    // Advance solution by solution rather than deriving the index from total
+    // time, so the cycle doesn't jump when new solutions stream in.
+    this.time += this._deltaTime;
+    while (this.time >= this.cycleTime) {
+      this.time -= this.cycleTime;
+      this.solutionIndex = (this.solutionIndex + 1) % this.solutionData.length;
+    }
 
-    const totalSolutions = BEDLAM_SOLUTIONS.length;
-    const solIdx = Math.floor(this.time / this.cycleTime) % totalSolutions;
-    const nextIdx = (solIdx + 1) % totalSolutions;
-    const phase = this.time % this.cycleTime;
+    const solIdx = this.solutionIndex;
+    const nextIdx = (solIdx + 1) % this.solutionData.length;
+    const phase = this.time;
 
     const current = this.solutionData[solIdx];
     const next = this.solutionData[nextIdx];
@@ -423,7 +231,7 @@ class BedlamAnimatedRenderer {
     const transEnd = flyOutEnd + this.transitionTime;
 
     for (let pieceIndex = 0; pieceIndex < this.numPieces; pieceIndex++) {
-      const color = BEDLAM_COLORS[pieceIndex];
+      const color = this._getPieceColor(pieceIndex);
       const curCubes = current[pieceIndex];
       const nxtCubes = next[pieceIndex];
 
@@ -438,15 +246,7 @@ class BedlamAnimatedRenderer {
 
         } else if (phase < flyOutEnd) {
           // Staggered fly out from current solution
-          const flyOutStart = this.holdTime + pieceIndex * this.staggerDelay;
-          let t;
-          if (phase < flyOutStart) {
-            t = 0;
-          } else if (phase < flyOutStart + this.pieceDuration) {
-            t = easeInOut((phase - flyOutStart) / this.pieceDuration);
-          } else {
-            t = 1;
-          }
+          const t = this._flyOutProgress(pieceIndex, phase - this.holdTime);
           px = cc.ax + (cc.ex - cc.ax) * t;
           py = cc.ay + (cc.ey - cc.ay) * t;
           pz = cc.az + (cc.ez - cc.az) * t;
@@ -459,88 +259,52 @@ class BedlamAnimatedRenderer {
           pz = cc.ez + (nc.ez - cc.ez) * tp;
 
         } else {
-          // Staggered fly in to next solution
+          // Staggered fly in to next solution, last piece out first in
           const reverseI = this.numPieces - 1 - pieceIndex;
-          const flyInStart = transEnd + reverseI * this.staggerDelay;
-          let t;
-          if (phase < flyInStart) {
-            t = 1;
-          } else if (phase < flyInStart + this.pieceDuration) {
-            t = 1 - easeInOut((phase - flyInStart) / this.pieceDuration);
-          } else {
-            t = 0;
-          }
+          const t = 1 - this._flyOutProgress(reverseI, phase - transEnd);
           px = nc.ax + (nc.ex - nc.ax) * t;
           py = nc.ay + (nc.ey - nc.ay) * t;
           pz = nc.az + (nc.ez - nc.az) * t;
         }
 
-        const model = Mat4.create();
-        Mat4.translate(model, model, Vec3.create(px, py, pz));
-        gl.uniformMatrix4fv(this.uModel, false, model);
-
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
-        gl.enableVertexAttribArray(this.aPosition);
-        gl.vertexAttribPointer(this.aPosition, 3, gl.FLOAT, false, 0, 0);
-
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.normalBuffer);
-        gl.enableVertexAttribArray(this.aNormal);
-        gl.vertexAttribPointer(this.aNormal, 3, gl.FLOAT, false, 0, 0);
-
-        gl.disableVertexAttribArray(this.aColor);
-        gl.vertexAttrib3f(this.aColor, color[0], color[1], color[2]);
-
-        gl.drawArrays(gl.TRIANGLES, 0, this.cubeVertexCount);
+        this._queueCube(px, py, pz, color);
       }
     }
+
+    this._flushCubes();
   }
 }
 
 // ============================================================
-// INITIALIZATION
+// SYMMETRY CLASSES
 // ============================================================
 
-function isWebGLAvailable() {
-  try {
-    const canvas = document.createElement('canvas');
-    return !!(window.WebGLRenderingContext &&
-      (canvas.getContext('webgl') || canvas.getContext('experimental-webgl')));
-  } catch (e) {
-    return false;
-  }
-}
-
-function setupVisualization(canvasId, RendererClass, options = {}) {
-  const canvas = document.getElementById(canvasId);
-  if (!canvas) return null;
-  const container = canvas.parentElement;
-
-  if (!isWebGLAvailable()) {
-    if (container) {
-      container.classList.add('webgl-unavailable');
-    }
-    return null;
-  }
-
-  canvas.style.width = '100%';
-  canvas.style.height = '400px';
-
-  const renderer = new RendererClass(canvas, options);
-  if (!renderer || !renderer.gl) {
-    if (container) {
-      container.classList.add('webgl-unavailable');
-    }
-    return null;
-  }
-
-  const loop = new AnimationLoop((dt) => {
-    renderer.render(dt);
+// Groups solutions into distinct packings: solutions that only differ by
+// swapping identically shaped pieces (or by a rotation) fall in one class.
+// The stored solutions list each of their three packings several times.
+// The worker only reports solutions outside the classes it already knows,
+// so every solution appended after them starts a class of its own.
+function createSolutionClasses(puzzle) {
+  const storedCount = puzzle.solutions.length;
+  const group = createSymmetryGroup(puzzle.pieces, boxCells(puzzle.dims), ROTATIONS);
+  const classes = classifySolutions(group, puzzle.solutions);
+  const classOf = [];
+  classes.forEach((solutionClass, classIndex) => {
+    for (const { solutionIndex } of solutionClass.members) classOf[solutionIndex] = classIndex;
   });
-  loop.start();
 
-  return renderer;
+  return {
+    count: () => classes.length + puzzle.solutions.length - storedCount,
+    indexOf: (solutionIndex) => (solutionIndex < storedCount
+      ? classOf[solutionIndex]
+      : classes.length + solutionIndex - storedCount),
+  };
 }
 
+// ============================================================
+// INITIALIZATION
+// ============================================================
+
 document.addEventListener('DOMContentLoaded', () => {
   // ---- Animated pieces visualization ----
   const animatedRenderer = setupVisualization('bedlam-pieces-canvas', BedlamAnimatedRenderer, {
@@ -553,56 +317,123 @@ document.addEventListener('DOMContentLoaded', () => {
   const solutionRenderer = setupVisualization('bedlam-solution-canvas', BedlamRenderer, {
     distance: 10,
     rotationX: 0.4,
-    rotationY: 0.8
+    rotationY: 0.8,
+    inertia: true
   });
 
+  // Solutions found by the worker are appended to BEDLAM_SOLUTIONS, so the
+  // totals below are always read live.
+  let updateSolutionLabel = () => {};
+
   if (solutionRenderer) {
     const prevBtn = document.getElementById('bedlam-prev-solution');
     const nextBtn = document.getElementById('bedlam-next-solution');
     const solutionLabel = document.getElementById('bedlam-solution-label');
     const explodeSlider = document.getElementById('bedlam-explode');
+    const solutionClasses = createSolutionClasses(BEDLAM_PUZZLE);
     let currentSolution = 0;
-    const totalSolutions = BEDLAM_SOLUTIONS.length;
 
-    function updateSolutionLabel() {
+    updateSolutionLabel = () => {
       if (solutionLabel) {
-        solutionLabel.textContent = `Solution ${currentSolution + 1} of ${totalSolutions}`;
+        solutionLabel.textContent = `Solution ${currentSolution + 1} of ${BEDLAM_SOLUTIONS.length}, `
+          + `packing ${solutionClasses.indexOf(currentSolution) + 1} of ${solutionClasses.count()}`;
       }
-    }
+    };
+
+    const stepSolution = (delta) => {
+      currentSolution = (currentSolution + delta + BEDLAM_SOLUTIONS.length) % BEDLAM_SOLUTIONS.length;
+      solutionRenderer.setSolution(currentSolution);
+      updateSolutionLabel();
+    };
 
     if (prevBtn) {
-      prevBtn.addEventListener('click', () => {
-        currentSolution = (currentSolution - 1 + totalSolutions) % totalSolutions;
-        solutionRenderer.setSolution(currentSolution);
-        updateSolutionLabel();
-      });
+      prevBtn.addEventListener('click', () => stepSolution(-1));
     }
 
     if (nextBtn) {
-      nextBtn.addEventListener('click', () => {
-        currentSolution = (currentSolution + 1) % totalSolutions;
-        solutionRenderer.setSolution(currentSolution);
-        updateSolutionLabel();
-      });
+      nextBtn.addEventListener('click', () => stepSolution(1));
     }
+    solutionRenderer.onStep = stepSolution;
 
+    const reassembleBtn = document.getElementById('bedlam-reassemble');
     if (explodeSlider) {
+      solutionRenderer.setExplodeSlider(explodeSlider);
       explodeSlider.addEventListener('input', (e) => {
-        solutionRenderer.setExplode(parseFloat(e.target.value) / 100 * 3);
+        solutionRenderer.setExplode(parseFloat(e.target.value) / 100 * solutionRenderer.maxExplode);
       });
     }
+    if (reassembleBtn) {
+      solutionRenderer.setReassembleButton(reassembleBtn);
+    }
+  }
 
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'ArrowLeft') {
-        currentSolution = (currentSolution - 1 + totalSolutions) % totalSolutions;
-        solutionRenderer.setSolution(currentSolution);
-        updateSolutionLabel();
-      } else if (e.key === 'ArrowRight') {
-        currentSolution = (currentSolution + 1) % totalSolutions;
-        solutionRenderer.setSolution(currentSolution);
+  // ---- Downloads: pieces for 3D printing, scenes as glTF, instructions ----
+  bindPieceDownload('bedlam-pieces-download', 'bedlam-pieces-download-format', BEDLAM_PUZZLE);
+  bindSceneDownload('bedlam-pieces-download-gltf', animatedRenderer, 'bedlam-fly-out.glb');
+  bindSceneDownload('bedlam-solution-download-gltf', solutionRenderer, 'bedlam-solution.glb');
+  bindInstructionsButton('bedlam-solution-instructions', solutionRenderer);
+  setupLayerSlices('bedlam-solution-slices', 'bedlam-solution-slice-axis', solutionRenderer);
+
+  // ---- Cut-away plane ----
+  setupClipControls('bedlam-solution-clip', 'bedlam-solution-clip-axis', solutionRenderer);
+  setupSolutionTable('bedlam-solution-table', solutionRenderer);
+
+  // ---- Background solver (streams more solutions on request) ----
+  const solverToggle = document.getElementById('bedlam-solver-toggle');
+  const solverStatus = document.getElementById('bedlam-solver-status');
+
+  if (solverToggle && (animatedRenderer || solutionRenderer)) {
+    if (!SolverClient.isSupported()) {
+      solverToggle.hidden = true;
+      return;
+    }
+
+    function setStatus(text) {
+      if (solverStatus) solverStatus.textContent = text;
+    }
+
+    const client = new SolverClient({
+      onSolutions: (solutions) => {
+        BEDLAM_SOLUTIONS.push(...solutions);
+        if (animatedRenderer) animatedRenderer.addSolutions(solutions);
         updateSolutionLabel();
+        setStatus(`Searching… ${BEDLAM_SOLUTIONS.length.toLocaleString()} solutions`);
+      },
+      onProgress: (progress) => {
+        const percent = (progress.fraction * 100).toFixed(progress.fraction < 0.01 ? 3 : 1);
+        setStatus(`Searching… ${BEDLAM_SOLUTIONS.length.toLocaleString()} solutions (~${percent}% explored)`);
+      },
+      onDone: (result) => {
+        solverToggle.textContent = 'Find more solutions';
+        if (result.error) {
+          setStatus('The solver stopped unexpectedly.');
+        } else if (result.cancelled) {
+          setStatus(`Stopped with ${BEDLAM_SOLUTIONS.length.toLocaleString()} solutions.`);
+        } else {
+          setStatus(`Done: ${BEDLAM_SOLUTIONS.length.toLocaleString()} solutions.`);
+        }
+      },
+    });
+
+    solverToggle.addEventListener('click', () => {
+      if (client.running) {
+        client.cancel();
+        return;
       }
+      solverToggle.textContent = 'Stop search';
+      setStatus('Starting solver…');
+      // Solutions equivalent to any found so far are not reported again,
+      // so a restarted search only streams genuinely new ones
+      client.start({
+        pieces: BEDLAM_PUZZLE.pieces,
+        cells: boxCells(BEDLAM_PUZZLE.dims),
+        rotations: ROTATIONS,
+        knownSolutions: BEDLAM_SOLUTIONS,
+      });
     });
   }
 });
+
+// Read by the offline fallback image generator (tools/render-fallbacks.js)
+window.BEDLAM_PUZZLE = BEDLAM_PUZZLE;
 })();
@@ -2,9 +2,17 @@
  * blocker.js - Block puzzle visualization
  *
  * Renders the 3x3x3 cube solutions with:
- * - Orbit camera controls (drag to rotate)
+ * - Orbit camera controls (drag to rotate; momentum, panning and
+ *   zoom-to-cursor where a figure opts in)
  * - Zoom via slider
  * - Explosion via scroll
+ * - A clip plane swept through the figure, cut cubes capped
+ * - Text descriptions for screen readers, announced as the figure changes
+ *
+ * The renderers take the piece set, palettes, grid and solutions from a
+ * puzzle config (SOMA_PUZZLE by default), so bedlam.js builds on them too.
+ * setupVisualization draws every figure through one shared WebGL context
+ * (SharedGLCompositor in base.js).
  */
 
 // ============================================================
@@ -24,6 +32,9 @@ const PIECES = [
   [[0,0,0], [1,0,0], [0,1,0], [0,1,1]],       // 3D corner C (4 cubes)
 ];
 
+// Names used in screen-reader descriptions, with the colour names below
+const PIECE_NAMES = ['L', 'T', 'S', 'small L', 'corner A', 'corner B', 'corner C'];
+
 // Piece colors
 const PIECE_COLORS = [
   [0.95, 0.30, 0.25], // red
@@ -34,6 +45,7 @@ const PIECE_COLORS = [
   [0.25, 0.80, 0.80], // cyan
   [0.95, 0.55, 0.20], // orange
 ];
+const PIECE_COLOR_NAMES = ['red', 'green', 'blue', 'yellow', 'magenta', 'cyan', 'orange'];
 
 // Wood-like colors for intro visualization
 const WOOD_COLORS = [
@@ -45,6 +57,7 @@ const WOOD_COLORS = [
   [0.50, 0.37, 0.25], // dark walnut
   [0.43, 0.31, 0.21], // deepest tone
 ];
+const WOOD_COLOR_NAMES = ['maple', 'light oak', 'oak', 'honey', 'walnut', 'dark walnut', 'darkest walnut'];
 
 // Per-piece grain variants so each piece reads like a distinct wood cut.
 const WOOD_GRAIN_VARIANTS = [
@@ -57,6 +70,21 @@ const WOOD_GRAIN_VARIANTS = [
   { scale: 3.45, angle: 4.05, shift: [1.10, 1.40], seed: 0.52, mix: 0.41 },
 ];
 
+// Everything the renderers need to know about a piece set. Other puzzles
+// (see BEDLAM_PUZZLE in bedlam.js) pass their own via options.puzzle.
+const SOMA_PUZZLE = {
+  name: 'Soma',
+  pieces: PIECES,
+  pieceNames: PIECE_NAMES,
+  colors: PIECE_COLORS,
+  colorNames: PIECE_COLOR_NAMES,
+  woodColors: WOOD_COLORS,
+  woodColorNames: WOOD_COLOR_NAMES,
+  woodGrainVariants: WOOD_GRAIN_VARIANTS,
+  dims: [3, 3, 3],
+  solutions: SOLUTIONS,
+};
+
 // 24 rotation matrices for cube orientations
 const ROTATIONS = [
   // +Z up, rotations around Z
@@ -93,6 +121,49 @@ const ROTATIONS = [
 
 const ZERO_OFFSET = [0, 0, 0];
 
+// A press that moves further than this is an orbit drag, not a click
+const CLICK_MOVE_THRESHOLD_PX = 5;
+
+// Arrow keys as a drag direction on screen (x right, y down)
+const ARROW_KEY_DIRECTIONS = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1],
+};
+// Keyboard steps for a focused figure: orbit angle per arrow press, zoom
+// factor per +/-, and how far Shift+arrow nudges a held piece (as a drag
+// of that many pixels)
+const KEY_ORBIT_STEP = 0.12;
+const KEY_ZOOM_FACTOR = 1.15;
+const KEY_NUDGE_PX = 14;
+
+// Named orientations for PuzzleRenderer.showView(), as OrbitCamera
+// quaternions: looking from the front (+z), straight down, and from +x
+const CAMERA_VIEWS = {
+  front: Quat.create(),
+  top: Quat.fromAxisAngle(Quat.create(), [1, 0, 0], -Math.PI / 2),
+  side: Quat.fromAxisAngle(Quat.create(), [0, 1, 0], Math.PI / 2),
+};
+
+// Cubes are positioned by a per-instance offset, so the model matrix is fixed
+const IDENTITY_MATRIX = Mat4.create();
+
+// Starting size of the instance batch; it doubles when a scene needs more
+const CUBE_QUEUE_INITIAL_SIZE = 64;
+
+// Half the edge of a drawn cube; the gaps between cubes keep pieces apart
+const CUBE_HALF_SIZE = 0.45;
+
+// Clip caps sit this far inside the plane so the clip test keeps them
+const CLIP_CAP_INSET = 0.002;
+// Cut faces are drawn a little darker than the outside of the piece
+const CLIP_CAP_SHADE = 0.8;
+
+// Key and fill lights, shared by the shader and the Canvas2D fallback
+const LIGHT_DIRECTION = [0.7, 1.0, 0.5];
+const LIGHT_DIRECTION_2 = [-0.5, 0.3, 0.8];
+
 // ============================================================
 // SHADERS
 // ============================================================
@@ -101,6 +172,7 @@ const VERTEX_SHADER = `
   attribute vec3 aPosition;
   attribute vec3 aNormal;
   attribute vec3 aColor;
+  attribute vec3 aOffset;
 
   uniform mat4 uProjection;
   uniform mat4 uView;
@@ -111,7 +183,7 @@ const VERTEX_SHADER = `
   varying vec3 vPosition;
 
   void main() {
-    vec4 worldPos = uModel * vec4(aPosition, 1.0);
+    vec4 worldPos = uModel * vec4(aPosition, 1.0) + vec4(aOffset, 0.0);
     vPosition = worldPos.xyz;
     vNormal = mat3(uModel) * aNormal;
     vColor = aColor;
@@ -136,6 +208,8 @@ const FRAGMENT_SHADER = `
   uniform float uWoodScale;
   uniform float uWoodSeed;
   uniform float uWoodMix;
+  uniform vec4 uClipPlane;
+  uniform float uClipEnabled;
 
   float hash(vec2 p) {
     return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453123);
@@ -187,6 +261,10 @@ const FRAGMENT_SHADER = `
   }
 
   void main() {
+    if (uClipEnabled > 0.5 && dot(uClipPlane.xyz, vPosition) > uClipPlane.w) {
+      discard;
+    }
+
     vec3 normal = normalize(vNormal);
     vec3 viewDir = normalize(uEyePos - vPosition);
 
@@ -226,7 +304,7 @@ const FRAGMENT_SHADER = `
 // ============================================================
 
 function createCubeGeometry() {
-  const s = 0.45;
+  const s = CUBE_HALF_SIZE;
   const positions = [];
   const normals = [];
 
@@ -253,6 +331,50 @@ function createCubeGeometry() {
   };
 }
 
+// Corners of the polygon where the plane dot(normal, p) = offset cuts the
+// cube at `center`, counter-clockwise seen from the side `normal` points
+// to. Empty when the plane misses the cube.
+function cubeSection(center, normal, offset) {
+  const s = CUBE_HALF_SIZE;
+  const corners = [];
+  for (let i = 0; i < 8; i++) {
+    const p = [
+      center[0] + (i & 1 ? s : -s),
+      center[1] + (i & 2 ? s : -s),
+      center[2] + (i & 4 ? s : -s),
+    ];
+    corners.push({ p, side: dot3(normal, p) - offset });
+  }
+
+  // Crossings along the 12 edges; a corner on the plane can turn up twice
+  const points = [];
+  for (let i = 0; i < 8; i++) {
+    for (const bit of [1, 2, 4]) {
+      if (i & bit) continue;
+      const a = corners[i];
+      const b = corners[i | bit];
+      if ((a.side > 0) === (b.side > 0)) continue;
+      const t = a.side / (a.side - b.side);
+      const point = a.p.map((value, axis) => value + (b.p[axis] - value) * t);
+      const seen = points.some((q) =>
+        Math.abs(q[0] - point[0]) + Math.abs(q[1] - point[1]) + Math.abs(q[2] - point[2]) < 1e-6
+      );
+      if (!seen) points.push(point);
+    }
+  }
+  if (points.length < 3) return [];
+
+  // The section is convex, so sorting by angle about its middle orders it
+  const u = normalize3(Vec3.cross(Vec3.create(), normal, Math.abs(normal[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0]));
+  const v = Vec3.cross(Vec3.create(), normal, u);
+  const mid = [0, 1, 2].map((axis) => points.reduce((sum, q) => sum + q[axis], 0) / points.length);
+  const angle = (q) => {
+    const d = [q[0] - mid[0], q[1] - mid[1], q[2] - mid[2]];
+    return Math.atan2(dot3(d, v), dot3(d, u));
+  };
+  return points.sort((a, b) => angle(a) - angle(b));
+}
+
 function projectWorldToScreen(world, view, projection, width, height) {
   const x = world[0];
   const y = world[1];
@@ -281,25 +403,223 @@ function projectWorldToScreen(world, view, projection, width, height) {
   };
 }
 
+// ============================================================
+// CANVAS 2D FALLBACK
+// ============================================================
+
+// Faces of the cube from createCubeGeometry as outward normal + corners
+const CUBE_FACES = (() => {
+  const s = 0.45;
+  return [
+    { normal: [0, 0, 1], corners: [[-s,-s,s], [s,-s,s], [s,s,s], [-s,s,s]] },
+    { normal: [0, 0, -1], corners: [[s,-s,-s], [-s,-s,-s], [-s,s,-s], [s,s,-s]] },
+    { normal: [0, 1, 0], corners: [[-s,s,s], [s,s,s], [s,s,-s], [-s,s,-s]] },
+    { normal: [0, -1, 0], corners: [[-s,-s,-s], [s,-s,-s], [s,-s,s], [-s,-s,s]] },
+    { normal: [1, 0, 0], corners: [[s,-s,s], [s,-s,-s], [s,s,-s], [s,s,s]] },
+    { normal: [-1, 0, 0], corners: [[-s,-s,-s], [-s,-s,s], [-s,s,s], [-s,s,-s]] },
+  ];
+})();
+
+function normalize3(v) {
+  const len = Math.hypot(v[0], v[1], v[2]) || 1;
+  return [v[0] / len, v[1] / len, v[2] / len];
+}
+
+function dot3(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+const LIGHT_1 = normalize3(LIGHT_DIRECTION);
+const LIGHT_2 = normalize3(LIGHT_DIRECTION_2);
+
+// The fragment shader's lighting evaluated once per face (no wood grain)
+function shadeFace(color, normal, viewDir, highlight) {
+  const diff1 = Math.max(dot3(normal, LIGHT_1), 0);
+  const diff2 = Math.max(dot3(normal, LIGHT_2), 0) * 0.5;
+  const halfDir = normalize3([LIGHT_1[0] + viewDir[0], LIGHT_1[1] + viewDir[1], LIGHT_1[2] + viewDir[2]]);
+  const spec = Math.pow(Math.max(dot3(normal, halfDir), 0), 64) * 0.15;
+
+  const rimT = Math.min(1, Math.max(0, (1 - Math.max(dot3(viewDir, normal), 0) - 0.4) / 0.6));
+  const rim = rimT * rimT * (3 - 2 * rimT) * 0.15;
+
+  const light = 0.4 + diff1 * 0.5 + diff2 * 0.25;
+  const glow = [1.0, 0.93, 0.78];
+  const channels = [0, 1, 2].map((i) => {
+    const value = color[i] * light + spec + rim + glow[i] * highlight * 0.35;
+    return Math.round(Math.min(1, Math.max(0, Math.pow(value, 0.95))) * 255);
+  });
+  return `rgb(${channels[0]}, ${channels[1]}, ${channels[2]})`;
+}
+
+// Painter's-algorithm stand-in for the WebGL path, used when the browser
+// has no WebGL. Cubes flushed during a frame are split into the faces that
+// point at the camera, sorted back to front and filled as flat polygons
+// when the frame ends. Gaps between cubes keep the face-centre sort honest.
+class Canvas2DCubePainter {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.highlight = 0;
+    // Flat fills ignore wood grain
+    this.wood = null;
+    this.transparent = false;
+    this._faces = [];
+    this._view = null;
+    this._projection = null;
+    this._eye = null;
+  }
+
+  beginFrame(view, projection, eye) {
+    this._view = view;
+    this._projection = projection;
+    this._eye = eye;
+    this._faces = [];
+    this.highlight = 0;
+  }
+
+  addCubes(offsets, colors, count) {
+    const view = this._view;
+    const eye = this._eye;
+
+    for (let i = 0; i < count * 3; i += 3) {
+      const x = offsets[i];
+      const y = offsets[i + 1];
+      const z = offsets[i + 2];
+      const color = [colors[i], colors[i + 1], colors[i + 2]];
+
+      for (const face of CUBE_FACES) {
+        const n = face.normal;
+        const center = [x + n[0] * 0.45, y + n[1] * 0.45, z + n[2] * 0.45];
+        const toEye = [eye[0] - center[0], eye[1] - center[1], eye[2] - center[2]];
+        if (dot3(n, toEye) <= 0) continue;
+
+        this._faces.push({
+          // View-space z: more negative is further from the camera
+          depth: view[2] * center[0] + view[6] * center[1] + view[10] * center[2] + view[14],
+          corners: face.corners.map(([cx, cy, cz]) => [x + cx, y + cy, z + cz]),
+          fill: shadeFace(color, n, normalize3(toEye), this.highlight),
+        });
+      }
+    }
+  }
+
+  paint() {
+    const ctx = this.ctx;
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+
+    if (this.transparent) {
+      ctx.clearRect(0, 0, width, height);
+    } else {
+      ctx.fillStyle = 'rgb(245, 245, 245)';
+      ctx.fillRect(0, 0, width, height);
+    }
+
+    this._faces.sort((a, b) => a.depth - b.depth);
+    ctx.lineWidth = 1;
+    ctx.lineJoin = 'round';
+
+    for (const face of this._faces) {
+      const points = face.corners.map((corner) =>
+        projectWorldToScreen(corner, this._view, this._projection, width, height)
+      );
+      if (points.some((point) => !point)) continue;
+
+      ctx.beginPath();
+      ctx.moveTo(points[0].x, points[0].y);
+      for (let i = 1; i < points.length; i++) {
+        ctx.lineTo(points[i].x, points[i].y);
+      }
+      ctx.closePath();
+      ctx.fillStyle = face.fill;
+      ctx.fill();
+      // Same-colour outline hides the anti-aliasing seam along shared edges
+      ctx.strokeStyle = face.fill;
+      ctx.stroke();
+    }
+  }
+}
+
+// ============================================================
+// DESCRIPTIONS (figure text for screen readers)
+// ============================================================
+
+// Per axis: the low, middle and high third of a shape, and all of it.
+// +z faces the default camera, like the layer slices.
+const PLACEMENT_WORDS = [
+  ['left', 'centre', 'right', 'full width'],
+  ['bottom', 'middle', 'top', 'full height'],
+  ['back', 'middle', 'front', 'full depth'],
+];
+
+// Where `cells` sit within `bounds`, e.g. "bottom, left and centre, front".
+// Axes the shape is a single cell thick along are left out.
+function describePlacement(cells, bounds) {
+  const parts = [];
+  for (const axis of [1, 0, 2]) {
+    const min = bounds.min[axis];
+    const span = bounds.max[axis] - min;
+    if (span === 0) continue;
+
+    const bands = new Set(cells.map((cell) => {
+      const t = (cell[axis] - min) / span;
+      return t < 1 / 3 ? 0 : (t > 2 / 3 ? 2 : 1);
+    }));
+    const words = PLACEMENT_WORDS[axis];
+    parts.push(bands.size === 3
+      ? words[3]
+      : [...bands].sort().map((band) => words[band]).join(' and '));
+  }
+  return parts.join(', ');
+}
+
 // ============================================================
 // BASE RENDERER
 // ============================================================
 
-class CubeRenderer {
+// Shared GL setup, camera and cube drawing. options.puzzle picks the piece
+// set and palettes; options.maxExplode caps pinch-to-explode.
+class PuzzleRenderer {
   constructor(canvas, options = {}) {
     this.canvas = canvas;
-    this.gl = canvas.getContext('webgl', { antialias: true });
-    if (!this.gl) {
+    this.puzzle = options.puzzle || SOMA_PUZZLE;
+    // With a compositor the canvas only receives finished frames; drawing
+    // happens in the compositor's shared context. options.canvas2d paints
+    // the same scenes without WebGL instead, and options.painter takes any
+    // object with the Canvas2DCubePainter interface (the offline fallback
+    // image generator passes a software rasterizer).
+    this.compositor = options.compositor || null;
+    this.painter = options.painter
+      || (options.canvas2d ? new Canvas2DCubePainter(canvas) : null);
+    if (this.painter && !this.painter.ctx && !options.painter) this.painter = null;
+    this.gl = null;
+    if (!this.painter && !options.canvas2d) {
+      this.gl = this.compositor
+        ? this.compositor.gl
+        : canvas.getContext('webgl', { antialias: true });
+    }
+    if (!this.gl && !this.painter) {
       console.error('WebGL not supported');
       return;
     }
 
     this.explodeAmount = 0;
+    this.maxExplode = options.maxExplode || 2;
     this.useWoodColors = options.useWoodColors || false;
     this.useWoodGrain = options.useWoodGrain || false;
     this._fovY = Math.PI / 4;
     this._timeSec = performance.now() / 1000;
     this._deltaTime = 0;
+    this._frameDelta = 0;
+    // Set while snapshot() renders ({ width, height, transparent }) and
+    // while record() is driving frames
+    this._capture = null;
+    this._recording = false;
+    // Cut-away plane set by setClipPlane / setClipFraction, null when the
+    // figure is whole; _clip is the plane resolved for the current frame
+    this.clipPlane = null;
+    this._clip = null;
+    this._clipOrigin = ZERO_OFFSET;
 
     // Create camera
     const cameraOptions = {
@@ -310,24 +630,78 @@ class CubeRenderer {
       maxDistance: options.maxDistance || 15,
       scrollOrbit: options.scrollOrbit !== false, // enabled by default
       scrollOrbitAmount: options.scrollOrbitAmount || 0.3,
+      fovY: this._fovY,
+      // Off unless the page asks (see OrbitCamera)
+      inertia: options.inertia || false,
+      damping: options.damping,
+      pan: options.pan || false,
+      zoomToCursor: options.zoomToCursor || false,
+      trackball: options.trackball || false,
     };
 
     // Enable pinch-to-explode on touch devices (onScroll used by pinch gesture)
     if (options.enablePinchExplode) {
       cameraOptions.onScroll = (deltaY) => {
         const nextExplode = this.explodeAmount - deltaY * 0.002;
-        this.setExplode(Math.max(0, Math.min(2, nextExplode)));
+        this.setExplode(Math.max(0, Math.min(this.maxExplode, nextExplode)));
       };
       // Don't capture wheel - use slider on desktop instead
       cameraOptions.captureWheel = false;
     }
 
     this.camera = new OrbitCamera(canvas, cameraOptions);
-
+    // For showView(): where the figure started, and one the reader saved
+    this._startView = this.camera.saveView();
+    this._savedView = null;
+
+    // Cubes queued for the next _flushCubes(); kept in JS so they survive
+    // context loss
+    this._queuedOffsets = new Float32Array(CUBE_QUEUE_INITIAL_SIZE * 3);
+    this._queuedColors = new Float32Array(CUBE_QUEUE_INITIAL_SIZE * 3);
+    this._queuedCount = 0;
+
+    // Set by setupVisualization to pause and resume its animation loop
+    this.onContextLost = null;
+    this.onContextRestored = null;
+    this.contextLost = false;
+    // Set by the page so [ and ] step through its solutions, rotations or
+    // figures; called with -1 or 1
+    this.onStep = null;
+    // Set by setupVisualization; called with text for the figure's
+    // aria-live region
+    this.onAnnounce = null;
+    // Set by setupVisualization to schedule a redraw of this figure
+    this.onRequestFrame = null;
+    if (!this.gl) return;
+
+    this._bindContextEvents();
     this._initGL();
     this._initGeometry();
   }
 
+  // The browser may drop the context at any time (mobile tab switches, GPU
+  // resets). Everything on the GPU is then gone, but camera, solution and
+  // piece state live in JS, so restoring only rebuilds the program and
+  // buffers. The events fire on the context's canvas, which is the shared
+  // one when drawing through a compositor.
+  _bindContextEvents() {
+    const contextCanvas = this.gl.canvas;
+
+    contextCanvas.addEventListener('webglcontextlost', (e) => {
+      // Without preventDefault the context is never restored
+      e.preventDefault();
+      this.contextLost = true;
+      if (this.onContextLost) this.onContextLost();
+    });
+
+    contextCanvas.addEventListener('webglcontextrestored', () => {
+      this._initGL();
+      this._initGeometry();
+      this.contextLost = false;
+      if (this.onContextRestored) this.onContextRestored();
+    });
+  }
+
   _initGL() {
     const gl = this.gl;
 
@@ -337,6 +711,7 @@ class CubeRenderer {
     this.aPosition = gl.getAttribLocation(this.program, 'aPosition');
     this.aNormal = gl.getAttribLocation(this.program, 'aNormal');
     this.aColor = gl.getAttribLocation(this.program, 'aColor');
+    this.aOffset = gl.getAttribLocation(this.program, 'aOffset');
 
     this.uProjection = gl.getUniformLocation(this.program, 'uProjection');
     this.uView = gl.getUniformLocation(this.program, 'uView');
@@ -351,6 +726,11 @@ class CubeRenderer {
     this.uWoodScale = gl.getUniformLocation(this.program, 'uWoodScale');
     this.uWoodSeed = gl.getUniformLocation(this.program, 'uWoodSeed');
     this.uWoodMix = gl.getUniformLocation(this.program, 'uWoodMix');
+    this.uClipPlane = gl.getUniformLocation(this.program, 'uClipPlane');
+    this.uClipEnabled = gl.getUniformLocation(this.program, 'uClipEnabled');
+
+    // Null when the extension is missing; _flushCubes then loops instead
+    this.instancing = gl.getExtension('ANGLE_instanced_arrays');
 
     gl.enable(gl.DEPTH_TEST);
     gl.enable(gl.CULL_FACE);
@@ -370,6 +750,18 @@ class CubeRenderer {
     this.normalBuffer = gl.createBuffer();
     gl.bindBuffer(gl.ARRAY_BUFFER, this.normalBuffer);
     gl.bufferData(gl.ARRAY_BUFFER, cube.normals, gl.STATIC_DRAW);
+
+    // Per-instance offsets and colours, refilled by every _flushCubes()
+    this.offsetBuffer = gl.createBuffer();
+    this.colorBuffer = gl.createBuffer();
+    // Cut faces of clipped cubes, rebuilt per flush
+    this.capPositionBuffer = gl.createBuffer();
+    this.capColorBuffer = gl.createBuffer();
+
+    if (this.instancing && this.aOffset >= 0 && this.aColor >= 0) {
+      this.instancing.vertexAttribDivisorANGLE(this.aOffset, 1);
+      this.instancing.vertexAttribDivisorANGLE(this.aColor, 1);
+    }
   }
 
   setZoom(value) {
@@ -383,151 +775,370 @@ class CubeRenderer {
     this.explodeAmount = amount;
   }
 
-  _setupFrame() {
-    const gl = this.gl;
-    if (!gl || !this.program) return false;
+  // ---- Views ----
 
-    const nowSec = performance.now() / 1000;
-    this._deltaTime = Math.max(0, Math.min(0.1, nowSec - this._timeSec));
-    this._timeSec = nowSec;
+  // Turns (smoothly, see OrbitCamera.goToView) to 'start', 'saved' or one of
+  // CAMERA_VIEWS, recentred. Only a saved view changes the distance, which
+  // pages set per figure. Returns false when there is no such view yet.
+  showView(name) {
+    const { target } = this._startView;
+    let view = null;
+    if (name === 'saved') view = this._savedView;
+    else if (name === 'start') view = { orientation: this._startView.orientation, target };
+    else if (CAMERA_VIEWS[name]) view = { orientation: CAMERA_VIEWS[name], target };
+    if (!view) return false;
+    this.camera.goToView(view);
+    return true;
+  }
 
-    resizeCanvasToDisplaySize(this.canvas);
-    gl.viewport(0, 0, this.canvas.width, this.canvas.height);
-    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+  saveView() {
+    this._savedView = this.camera.saveView();
+  }
+
+  // ---- Keyboard ----
+
+  // Keys pressed while the figure has focus (setupVisualization routes them
+  // here): arrows orbit, + and - zoom, Home turns back to the starting
+  // view, E and Shift+E explode and collapse, [ and ] call onStep. Returns
+  // true when the key was used.
+  handleKey(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return false;
+
+    const direction = ARROW_KEY_DIRECTIONS[e.key];
+    if (direction) {
+      if (e.shiftKey) return false;
+      this.camera.rotateBy(direction[0] * KEY_ORBIT_STEP, direction[1] * KEY_ORBIT_STEP);
+      return true;
+    }
+
+    switch (e.key) {
+      case '+':
+      case '=':
+        this.camera.setDistance(this.camera.distance / KEY_ZOOM_FACTOR);
+        return true;
+      case '-':
+      case '_':
+        this.camera.setDistance(this.camera.distance * KEY_ZOOM_FACTOR);
+        return true;
+      case 'Home':
+        return this.showView('start');
+      case 'e':
+      case 'E': {
+        if (!this._canExplode()) return false;
+        const step = this.maxExplode / 10 * (e.shiftKey ? -1 : 1);
+        this.setExplode(Math.max(0, Math.min(this.maxExplode, this.explodeAmount + step)));
+        return true;
+      }
+      case '[':
+      case ']':
+        if (!this.onStep) return false;
+        this.onStep(e.key === ']' ? 1 : -1);
+        return true;
+      default:
+        return false;
+    }
+  }
 
-    gl.useProgram(this.program);
+  // Whether the scene spreads its pieces with explodeAmount
+  _canExplode() {
+    return false;
+  }
 
-    const aspect = this.canvas.width / this.canvas.height;
-    const projection = Mat4.perspective(Mat4.create(), this._fovY, aspect, 0.1, 100);
-    const view = this.camera.getViewMatrix();
-    const eyePos = this.camera.getEyePosition();
+  // The keys handleKey() takes, in words
+  describeKeys() {
+    const keys = ['Arrow keys rotate the view', 'plus and minus zoom', 'Home returns to the starting view'];
+    if (this._canExplode()) keys.push('E and Shift+E spread the pieces out and back');
+    if (this.onStep) keys.push('[ and ] step through the figure');
+    return `${keys.join(', ')}.`;
+  }
 
-    gl.uniformMatrix4fv(this.uProjection, false, projection);
-    gl.uniformMatrix4fv(this.uView, false, view);
-    gl.uniform3f(this.uLightDir, 0.7, 1.0, 0.5);
-    gl.uniform3f(this.uLightDir2, -0.5, 0.3, 0.8);
-    gl.uniform3fv(this.uEyePos, eyePos);
-    gl.uniform1f(this.uUseWoodGrain, this.useWoodGrain ? 1 : 0);
-    gl.uniform1f(this.uHighlightStrength, 0);
-    gl.uniform2f(this.uWoodShift, 0, 0);
-    gl.uniform1f(this.uWoodAngle, 0);
-    gl.uniform1f(this.uWoodScale, 3.0);
-    gl.uniform1f(this.uWoodSeed, 0);
-    gl.uniform1f(this.uWoodMix, 0.4);
+  // ---- Descriptions ----
 
-    return true;
+  // What the figure shows as plain text, for screen readers;
+  // setupVisualization makes it the canvas's description
+  describe() {
+    return `${this.puzzle.name} pieces.`;
   }
 
-  _drawCube(x, y, z, color) {
-    const gl = this.gl;
+  // Sends `text` (the whole description unless given) to onAnnounce
+  announce(text = this.describe()) {
+    if (this.onAnnounce) this.onAnnounce(text);
+  }
 
-    const model = Mat4.create();
-    Mat4.translate(model, model, Vec3.create(x, y, z));
+  // Needed after changing a figure that is drawn on demand (reduced motion)
+  requestFrame() {
+    if (this.onRequestFrame) this.onRequestFrame();
+  }
 
-    gl.uniformMatrix4fv(this.uModel, false, model);
+  // Colour and name the way the figure shows a piece, e.g. "red L"
+  _getPieceLabel(pieceIndex) {
+    const names = this.puzzle.pieceNames || [];
+    const colorNames = (this.useWoodColors && this.puzzle.woodColors && this.puzzle.woodColorNames)
+      || this.puzzle.colorNames || [];
+    const name = names[pieceIndex] || `piece ${pieceIndex + 1}`;
+    return colorNames.length > 0 ? `${colorNames[pieceIndex % colorNames.length]} ${name}` : name;
+  }
 
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
-    gl.enableVertexAttribArray(this.aPosition);
-    gl.vertexAttribPointer(this.aPosition, 3, gl.FLOAT, false, 0, 0);
+  // ---- Clipping ----
 
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.normalBuffer);
-    gl.enableVertexAttribArray(this.aNormal);
-    gl.vertexAttribPointer(this.aNormal, 3, gl.FLOAT, false, 0, 0);
+  // Cuts away everything on the side `normal` points to of the plane
+  // `offset` along it from the figure's centre, any direction will do. The
+  // cubes it cuts through are capped with their piece colour. A null normal
+  // shows the whole figure again.
+  setClipPlane(normal, offset = 0) {
+    this.clipPlane = normal ? { normal: normalize3(normal), offset, fraction: null } : null;
+  }
 
-    gl.disableVertexAttribArray(this.aColor);
-    gl.vertexAttrib3f(this.aColor, color[0], color[1], color[2]);
+  // Like setClipPlane, with the plane `fraction` (0-1) of the way through
+  // the figure along `normal`: 1 keeps all of it, 0 cuts all of it away.
+  // Follows the figure's size as it changes or explodes.
+  setClipFraction(normal, fraction) {
+    if (!normal || fraction >= 1) {
+      this.setClipPlane(null);
+      return;
+    }
+    this.clipPlane = { normal: normalize3(normal), offset: 0, fraction: Math.max(0, fraction) };
+  }
 
-    gl.drawArrays(gl.TRIANGULAR, 0, this.cubeVertexCount);
+  // Size in cells of the box the figure fills, for setClipFraction
+  _getClipDims() {
+    return this.puzzle.dims;
   }
-}
 
-// ============================================================
-// SOLUTION RENDERER
-// ============================================================
+  _resolveClipPlane() {
+    const plane = this.clipPlane;
+    if (!plane) return null;
+    if (plane.fraction === null) return { normal: plane.normal, offset: plane.offset };
 
-class SolutionRenderer extends CubeRenderer {
-  constructor(canvas, options = {}) {
-    super(canvas, options);
-    this.currentSolution = 0;
+    const n = plane.normal;
+    const dims = this._getClipDims();
+    const half = 0.5 * (Math.abs(n[0]) * dims[0] + Math.abs(n[1]) * dims[1] + Math.abs(n[2]) * dims[2])
+      + this.explodeAmount;
+    return { normal: n, offset: half * (2 * plane.fraction - 1) };
   }
 
-  setSolution(index) {
-    this.currentSolution = index;
+  // Where the clip plane is measured from for cubes flushed from now on,
+  // for renderers that draw more than one figure side by side
+  _setClipOrigin(origin) {
+    this._clipOrigin = origin;
+    if (this._clip && !this.painter) this._setClipUniforms();
   }
 
-  _beforeRenderSolution() {}
+  _clipOffset() {
+    return this._clip.offset + dot3(this._clip.normal, this._clipOrigin);
+  }
 
-  _getPieceOffset(pieceIndex) {
-    return ZERO_OFFSET;
+  _setClipUniforms() {
+    const gl = this.gl;
+    if (!this._clip) {
+      gl.uniform1f(this.uClipEnabled, 0);
+      return;
+    }
+    const [nx, ny, nz] = this._clip.normal;
+    gl.uniform4f(this.uClipPlane, nx, ny, nz, this._clipOffset());
+    gl.uniform1f(this.uClipEnabled, 1);
   }
 
-  _getPieceHighlight(pieceIndex) {
-    return 0;
+  // Renders a frame `dt` seconds after the last one and, when drawing
+  // through a compositor or painter, puts it on this renderer's canvas. Subclasses
+  // override render(), not this. Returns isAnimating(), so figures drawn on
+  // demand keep getting frames until they are still.
+  draw(dt = 0) {
+    // A recording draws its own frames; the figure's loop would add time twice
+    if (this._recording) return false;
+    this._drawFrame(dt);
+    return this.isAnimating();
   }
 
-  _getWoodParams(pieceIndex) { // eslint-disable-line no-unused-vars
-    return {
-      shift: [0, 0],
-      angle: 0,
-      scale: 3.0,
-      seed: 0,
-      mix: 0.4
-    };
+  // True while the figure changes without input, e.g. a camera transition
+  isAnimating() {
+    return !!this._cameraMoving;
   }
 
-  _getRenderPieces(solution, offsetResolver = null) {
-    const colors = this.useWoodColors ? WOOD_COLORS : PIECE_COLORS;
-    const renderPieces = [];
+  _drawFrame(dt) {
+    this._frameDelta = dt;
+    this.render();
+    if (this.painter) {
+      this.painter.paint();
+    } else if (this.compositor) {
+      this.compositor.present(this.canvas);
+    }
+  }
 
-    for (const [pieceIndex, cubes] of solution) {
-      // Compute piece centroid
-      let cx = 0, cy = 0, cz = 0;
-      for (const [x, y, z] of cubes) {
-        cx += x; cy += y; cz += z;
-      }
-      cx /= cubes.length;
-      cy /= cubes.length;
-      cz /= cubes.length;
+  // ---- Capture ----
 
-      // Explosion direction
-      const dx = cx - 1, dy = cy - 1, dz = cz - 1;
-      const len = Math.sqrt(dx*dx + dy*dy + dz*dz) || 1;
-      const ex = dx / len, ey = dy / len, ez = dz / len;
-      const userOffset = offsetResolver
-        ? offsetResolver(pieceIndex)
-        : this._getPieceOffset(pieceIndex);
-      const ox = ex * this.explodeAmount + userOffset[0];
-      const oy = ey * this.explodeAmount + userOffset[1];
-      const oz = ez * this.explodeAmount + userOffset[2];
-      const renderCubes = [];
+  // Re-renders the current view at `width` x `height` (default: the
+  // displayed size times `scale`, 2 unless given) and resolves with a PNG
+  // Blob. `transparent` leaves out the background.
+  snapshot(options = {}) {
+    if (!this.painter && (!this.gl || !this.program || this.contextLost)) {
+      return Promise.reject(new Error('Nothing to capture: the renderer has no context'));
+    }
 
-      for (const [x, y, z] of cubes) {
-        renderCubes.push([
-          (x - 1) + ox,
-          (y - 1) + oy,
-          (z - 1) + oz
-        ]);
+    const scale = options.scale || 2;
+    let width = Math.round(options.width || this.canvas.clientWidth * scale);
+    let height = Math.round(options.height || this.canvas.clientHeight * scale);
+    if (this.gl) {
+      const [maxWidth, maxHeight] = this.gl.getParameter(this.gl.MAX_VIEWPORT_DIMS);
+      const fit = Math.min(1, maxWidth / width, maxHeight / height);
+      width = Math.floor(width * fit);
+      height = Math.floor(height * fit);
+    }
+
+    // The shared canvas only grows on its own; don't leave it at poster size
+    const shared = this.compositor ? this.compositor.canvas : null;
+    const sharedSize = shared ? [shared.width, shared.height] : null;
+
+    this._capture = { width, height, transparent: Boolean(options.transparent) };
+    this._drawFrame(0);
+    this._capture = null;
+
+    return new Promise((resolve, reject) => {
+      // toBlob copies the bitmap straight away, so the figure can go back
+      // to its own size before the browser ever shows the big frame
+      this.canvas.toBlob((blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('Snapshot could not be encoded'));
+        }
+      }, 'image/png');
+
+      if (shared && (shared.width !== sharedSize[0] || shared.height !== sharedSize[1])) {
+        shared.width = sharedSize[0];
+        shared.height = sharedSize[1];
       }
+      this._drawFrame(0);
+    });
+  }
 
-      renderPieces.push({
-        pieceIndex,
-        color: colors[pieceIndex],
-        center: [(cx - 1) + ox, (cy - 1) + oy, (cz - 1) + oz],
-        cubes: renderCubes
-      });
+  // Records `duration` seconds of the figure (e.g. a BedlamAnimatedRenderer
+  // cycleTime) and resolves with a WebM Blob. Frames are driven from here,
+  // so the clip runs through even with reduced motion or off screen.
+  record(options = {}) {
+    const duration = options.duration || 5;
+    const fps = options.fps || 30;
+    if (typeof MediaRecorder === 'undefined' || !this.canvas.captureStream) {
+      return Promise.reject(new Error('Recording is not supported in this browser'));
+    }
+    if (this._recording) {
+      return Promise.reject(new Error('Already recording'));
     }
 
-    return renderPieces;
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+      .find((type) => MediaRecorder.isTypeSupported(type));
+    const stream = this.canvas.captureStream(fps);
+    const recorder = new MediaRecorder(stream, {
+      ...(mimeType ? { mimeType } : {}),
+      videoBitsPerSecond: options.bitsPerSecond || 8000000,
+    });
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) chunks.push(e.data);
+    };
+
+    return new Promise((resolve, reject) => {
+      const finish = () => {
+        this._recording = false;
+        stream.getTracks().forEach((track) => track.stop());
+      };
+      recorder.onstop = () => {
+        finish();
+        resolve(new Blob(chunks, { type: 'video/webm' }));
+      };
+      recorder.onerror = (e) => {
+        finish();
+        reject(e.error || new Error('Recording failed'));
+      };
+
+      this._recording = true;
+      let elapsed = 0;
+      let lastTime = performance.now();
+      const tick = (now) => {
+        const dt = Math.min(0.1, Math.max(0, (now - lastTime) / 1000));
+        lastTime = now;
+        elapsed += dt;
+        this._drawFrame(dt);
+        if (elapsed < duration && recorder.state === 'recording') {
+          requestAnimationFrame(tick);
+        } else if (recorder.state === 'recording') {
+          recorder.stop();
+        }
+      };
+
+      recorder.start();
+      this._drawFrame(0);
+      requestAnimationFrame(tick);
+    });
   }
 
-  render() {
-    if (!this._setupFrame()) return;
+  // Wood tones when useWoodColors is set and the puzzle has them
+  _getPieceColor(pieceIndex) {
+    const colors = (this.useWoodColors && this.puzzle.woodColors) || this.puzzle.colors;
+    return colors[pieceIndex % colors.length];
+  }
+
+  _setupFrame() {
     const gl = this.gl;
-    this._beforeRenderSolution();
+    if (!this.painter && (!gl || !this.program || this.contextLost)) return false;
+
+    // The renderer's clock only runs while frames are drawn, so physics and
+    // animations don't jump after the figure has been off screen
+    this._deltaTime = Math.max(0, Math.min(0.1, this._frameDelta));
+    this._frameDelta = 0;
+    this._timeSec += this._deltaTime;
+    this._cameraMoving = this.camera.update(this._deltaTime);
+
+    if (this._capture) {
+      // Snapshots pick their own size, past the DPR cap
+      if (this.canvas.width !== this._capture.width) this.canvas.width = this._capture.width;
+      if (this.canvas.height !== this._capture.height) this.canvas.height = this._capture.height;
+    } else {
+      resizeCanvasToDisplaySize(this.canvas);
+    }
+    this._queuedCount = 0;
+    this._clip = this._resolveClipPlane();
+    this._clipOrigin = ZERO_OFFSET;
+    const transparent = Boolean(this._capture && this._capture.transparent);
 
-    const solution = SOLUTIONS[this.currentSolution];
-    const renderPieces = this._getRenderPieces(solution);
+    const aspect = this.canvas.width / this.canvas.height;
+    const projection = Mat4.perspective(Mat4.create(), this._fovY, aspect, 0.1, 100);
+    const view = this.camera.getViewMatrix();
+    const eyePos = this.camera.getEyePosition();
+
+    if (this.painter) {
+      this.painter.transparent = transparent;
+      this.painter.beginFrame(view, projection, eyePos);
+      return true;
+    }
+
+    if (this.compositor) {
+      this.compositor.beginFrame(this.canvas);
+    } else {
+      gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    }
+    if (transparent) gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+    if (transparent) gl.clearColor(0.96, 0.96, 0.96, 1.0);
+
+    gl.useProgram(this.program);
+
+    gl.uniformMatrix4fv(this.uProjection, false, projection);
+    gl.uniformMatrix4fv(this.uView, false, view);
+    gl.uniformMatrix4fv(this.uModel, false, IDENTITY_MATRIX);
+    gl.uniform3fv(this.uLightDir, LIGHT_DIRECTION);
+    gl.uniform3fv(this.uLightDir2, LIGHT_DIRECTION_2);
+    gl.uniform3fv(this.uEyePos, eyePos);
+    gl.uniform1f(this.uUseWoodGrain, this.useWoodGrain ? 1 : 0);
+    gl.uniform1f(this.uHighlightStrength, 0);
+    gl.uniform2f(this.uWoodShift, 0, 0);
+    gl.uniform1f(this.uWoodAngle, 0);
+    gl.uniform1f(this.uWoodScale, 3.0);
+    gl.uniform1f(this.uWoodSeed, 0);
+    gl.uniform1f(this.uWoodMix, 0.4);
+    this._setClipUniforms();
 
+    // Every draw is the same unit cube, so the geometry is bound once a frame
     gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
     gl.enableVertexAttribArray(this.aPosition);
     gl.vertexAttribPointer(this.aPosition, 3, gl.FLOAT, false, 0, 0);
@@ -536,57 +1147,495 @@ class SolutionRenderer extends CubeRenderer {
     gl.enableVertexAttribArray(this.aNormal);
     gl.vertexAttribPointer(this.aNormal, 3, gl.FLOAT, false, 0, 0);
 
-    gl.disableVertexAttribArray(this.aColor);
-
-    for (const piece of renderPieces) {
-      const wood = this._getWoodParams(piece.pieceIndex);
-      gl.uniform2f(this.uWoodShift, wood.shift[0], wood.shift[1]);
-      gl.uniform1f(this.uWoodAngle, wood.angle);
-      gl.uniform1f(this.uWoodScale, wood.scale);
-      gl.uniform1f(this.uWoodSeed, wood.seed);
-      gl.uniform1f(this.uWoodMix, wood.mix);
+    return true;
+  }
 
-      gl.uniform1f(this.uHighlightStrength, this._getPieceHighlight(piece.pieceIndex));
-      gl.vertexAttrib3f(this.aColor, piece.color[0], piece.color[1], piece.color[2]);
+  // Glow applied to cubes flushed from now on (0 for none)
+  _setHighlight(strength) {
+    if (this.painter) {
+      this.painter.highlight = strength;
+    } else {
+      this.gl.uniform1f(this.uHighlightStrength, strength);
+    }
+  }
 
-      for (const cube of piece.cubes) {
-        const model = Mat4.create();
-        Mat4.translate(model, model, Vec3.create(cube[0], cube[1], cube[2]));
-        gl.uniformMatrix4fv(this.uModel, false, model);
-        gl.drawArrays(gl.TRIANGLES, 0, this.cubeVertexCount);
-      }
+  // Wood grain for cubes flushed from now on
+  _setWoodParams(wood) {
+    if (this.painter) {
+      this.painter.wood = wood;
+      return;
+    }
+    const gl = this.gl;
+    gl.uniform2f(this.uWoodShift, wood.shift[0], wood.shift[1]);
+    gl.uniform1f(this.uWoodAngle, wood.angle);
+    gl.uniform1f(this.uWoodScale, wood.scale);
+    gl.uniform1f(this.uWoodSeed, wood.seed);
+    gl.uniform1f(this.uWoodMix, wood.mix);
+  }
+
+  // Adds a cube to the batch drawn by the next _flushCubes(). Uniforms
+  // (highlight, wood grain) apply per flush, so flush before changing them.
+  _queueCube(x, y, z, color) {
+    if (this._queuedCount * 3 >= this._queuedOffsets.length) {
+      const offsets = new Float32Array(this._queuedOffsets.length * 2);
+      const colors = new Float32Array(this._queuedColors.length * 2);
+      offsets.set(this._queuedOffsets);
+      colors.set(this._queuedColors);
+      this._queuedOffsets = offsets;
+      this._queuedColors = colors;
+    }
+
+    const i = this._queuedCount * 3;
+    this._queuedOffsets[i] = x;
+    this._queuedOffsets[i + 1] = y;
+    this._queuedOffsets[i + 2] = z;
+    this._queuedColors[i] = color[0];
+    this._queuedColors[i + 1] = color[1];
+    this._queuedColors[i + 2] = color[2];
+    this._queuedCount += 1;
+  }
+
+  // One instanced draw for the whole batch, or a drawArrays per cube when
+  // ANGLE_instanced_arrays is not available. The Canvas2D painter only
+  // collects the batch; it paints everything sorted at the end of the frame.
+  _flushCubes() {
+    let count = this._queuedCount;
+    if (count === 0) return;
+    this._queuedCount = 0;
+
+    if (this.painter) {
+      // Flat faces can't be cut, so the painter leaves out whole cubes
+      // whose centre is past the clip plane
+      if (this._clip) count = this._dropClippedCubes(count);
+      this.painter.addCubes(this._queuedOffsets, this._queuedColors, count);
+      return;
     }
 
-    gl.uniform1f(this.uHighlightStrength, 0);
+    this._drawQueuedCubes(count);
+    if (this._clip) this._drawClipCaps(count);
   }
-}
 
-// ============================================================
-// INTRO RENDERER (hold-to-drag one piece, snap-back on release)
-// ============================================================
+  _drawQueuedCubes(count) {
+    const gl = this.gl;
 
-class IntroRenderer extends SolutionRenderer {
-  constructor(canvas, options = {}) {
-    super(canvas, {
-      ...options,
-      useWoodGrain: options.useWoodGrain !== false,
-    });
+    if (this.instancing) {
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.offsetBuffer);
+      gl.bufferData(gl.ARRAY_BUFFER, this._queuedOffsets.subarray(0, count * 3), gl.DYNAMIC_DRAW);
+      gl.enableVertexAttribArray(this.aOffset);
+      gl.vertexAttribPointer(this.aOffset, 3, gl.FLOAT, false, 0, 0);
 
-    this.holdThresholdMs = options.holdThresholdMs || 280;
-    this.holdMoveThresholdPx = options.holdMoveThresholdPx || 8;
-    this.pickRadiusPx = options.pickRadiusPx || 36;
-    this._maxDragOffset = 2.5;
-    this._bboxExcessThreshold = options.struggleBBoxExcessThreshold || 0.025;
-    this._bboxSolvedThreshold = options.struggleSolvedThreshold || 0.015;
-    this._recoveryAttemptThreshold = options.struggleAttemptThreshold || 2;
-    this._reassemblePieceDuration = options.reassemblePieceDuration || 0.5;
-    this._reassembleStagger = options.reassembleStagger || 0.055;
-    this._movingFrameThreshold = options.movingFrameThreshold || 0.015;
-    this._settleDelaySec = options.settleDelaySec || 0.12;
-    this._reassembleMinVisibleSec = options.reassembleMinVisibleSec || 0.9;
-    this._reassembleHideDelaySec = options.reassembleHideDelaySec || 0.35;
-    this._reassembleHideExcessThreshold = options.reassembleHideExcessThreshold || 0.018;
-    this._reassembleExplodeShowThreshold = options.reassembleExplodeShowThreshold || 0.04;
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.colorBuffer);
+      gl.bufferData(gl.ARRAY_BUFFER, this._queuedColors.subarray(0, count * 3), gl.DYNAMIC_DRAW);
+      gl.enableVertexAttribArray(this.aColor);
+      gl.vertexAttribPointer(this.aColor, 3, gl.FLOAT, false, 0, 0);
+
+      this.instancing.drawArraysInstancedANGLE(gl.TRIANGLES, 0, this.cubeVertexCount, count);
+
+      gl.disableVertexAttribArray(this.aOffset);
+      gl.disableVertexAttribArray(this.aColor);
+      return;
+    }
+
+    gl.disableVertexAttribArray(this.aOffset);
+    gl.disableVertexAttribArray(this.aColor);
+    for (let i = 0; i < count * 3; i += 3) {
+      gl.vertexAttrib3f(this.aOffset, this._queuedOffsets[i], this._queuedOffsets[i + 1], this._queuedOffsets[i + 2]);
+      gl.vertexAttrib3f(this.aColor, this._queuedColors[i], this._queuedColors[i + 1], this._queuedColors[i + 2]);
+      gl.drawArrays(gl.TRIANGLES, 0, this.cubeVertexCount);
+    }
+  }
+
+  // Fills the cross-section of every queued cube the clip plane passes
+  // through, so cut pieces look solid rather than hollow
+  _drawClipCaps(count) {
+    const gl = this.gl;
+    const normal = this._clip.normal;
+    const offset = this._clipOffset();
+    const positions = [];
+    const colors = [];
+
+    for (let i = 0; i < count * 3; i += 3) {
+      const center = [this._queuedOffsets[i], this._queuedOffsets[i + 1], this._queuedOffsets[i + 2]];
+      const section = cubeSection(center, normal, offset);
+      const color = [0, 1, 2].map((c) => this._queuedColors[i + c] * CLIP_CAP_SHADE);
+
+      // Fan from the first corner
+      for (let k = 1; k + 1 < section.length; k++) {
+        for (const corner of [section[0], section[k], section[k + 1]]) {
+          positions.push(
+            corner[0] - normal[0] * CLIP_CAP_INSET,
+            corner[1] - normal[1] * CLIP_CAP_INSET,
+            corner[2] - normal[2] * CLIP_CAP_INSET
+          );
+          colors.push(color[0], color[1], color[2]);
+        }
+      }
+    }
+    if (positions.length === 0) return;
+
+    // Caps bring their own vertices and colours and face along the plane
+    // normal; the cube attributes are put back for the next flush
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.capPositionBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(positions), gl.DYNAMIC_DRAW);
+    gl.vertexAttribPointer(this.aPosition, 3, gl.FLOAT, false, 0, 0);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.capColorBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(colors), gl.DYNAMIC_DRAW);
+    gl.enableVertexAttribArray(this.aColor);
+    gl.vertexAttribPointer(this.aColor, 3, gl.FLOAT, false, 0, 0);
+    if (this.instancing) this.instancing.vertexAttribDivisorANGLE(this.aColor, 0);
+
+    gl.disableVertexAttribArray(this.aNormal);
+    gl.vertexAttrib3f(this.aNormal, normal[0], normal[1], normal[2]);
+    gl.vertexAttrib3f(this.aOffset, 0, 0, 0);
+
+    gl.drawArrays(gl.TRIANGLES, 0, positions.length / 3);
+
+    if (this.instancing) this.instancing.vertexAttribDivisorANGLE(this.aColor, 1);
+    gl.disableVertexAttribArray(this.aColor);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
+    gl.vertexAttribPointer(this.aPosition, 3, gl.FLOAT, false, 0, 0);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.normalBuffer);
+    gl.enableVertexAttribArray(this.aNormal);
+    gl.vertexAttribPointer(this.aNormal, 3, gl.FLOAT, false, 0, 0);
+  }
+
+  // Keeps only the queued cubes whose centre is on the kept side of the
+  // clip plane, packed to the front of the queue, and returns their number
+  _dropClippedCubes(count) {
+    const [nx, ny, nz] = this._clip.normal;
+    const offset = this._clipOffset();
+    const offsets = this._queuedOffsets;
+    const colors = this._queuedColors;
+    let kept = 0;
+
+    for (let i = 0; i < count * 3; i += 3) {
+      if (nx * offsets[i] + ny * offsets[i + 1] + nz * offsets[i + 2] > offset) continue;
+      const j = kept * 3;
+      for (let c = 0; c < 3; c++) {
+        offsets[j + c] = offsets[i + c];
+        colors[j + c] = colors[i + c];
+      }
+      kept += 1;
+    }
+    return kept;
+  }
+
+  _drawCubes(cubes, color) {
+    for (const [x, y, z] of cubes) {
+      this._queueCube(x, y, z, color);
+    }
+    this._flushCubes();
+  }
+
+  // Calls onClick(event) for presses that end where they started, so that
+  // orbiting the camera with a drag is not also taken as a click
+  _bindClick(onClick) {
+    let pressStart = null;
+
+    // A second finger makes the press a pinch
+    this.canvas.addEventListener('pointerdown', (e) => {
+      pressStart = e.isPrimary && e.button === 0 ? [e.clientX, e.clientY] : null;
+    });
+    this.canvas.addEventListener('click', (e) => {
+      const start = pressStart;
+      pressStart = null;
+      if (!start) return;
+      if (Math.hypot(e.clientX - start[0], e.clientY - start[1]) > CLICK_MOVE_THRESHOLD_PX) return;
+      onClick(e);
+    });
+  }
+
+  _buildPickRay(localX, localY, width, height) {
+    if (width <= 0 || height <= 0) return null;
+
+    const ndcX = (localX / width) * 2 - 1;
+    const ndcY = 1 - (localY / height) * 2;
+    const aspect = width / height;
+    const tanHalfFov = Math.tan(this._fovY * 0.5);
+
+    // The camera's own axes, which a trackball view may have rolled
+    const eye = this.camera.getEyePosition();
+    const { right, up, forward } = this.camera.getBasis();
+
+    const sx = ndcX * aspect * tanHalfFov;
+    const sy = ndcY * tanHalfFov;
+
+    const direction = Vec3.create(
+      forward[0] + right[0] * sx + up[0] * sy,
+      forward[1] + right[1] * sx + up[1] * sy,
+      forward[2] + right[2] * sx + up[2] * sy
+    );
+    Vec3.normalize(direction, direction);
+
+    return { origin: eye, direction };
+  }
+
+  _rayIntersectCube(rayOrigin, rayDir, cubeCenter, halfSize) {
+    const hit = this._rayHitCube(rayOrigin, rayDir, cubeCenter, halfSize);
+    return hit ? hit.t : null;
+  }
+
+  // Slab test that also reports which face the ray enters through, as an
+  // outward axis-aligned normal
+  _rayHitCube(rayOrigin, rayDir, cubeCenter, halfSize) {
+    let tMin = -Infinity;
+    let tMax = Infinity;
+    let normal = null;
+
+    for (let axis = 0; axis < 3; axis++) {
+      const origin = rayOrigin[axis];
+      const dir = rayDir[axis];
+      const min = cubeCenter[axis] - halfSize;
+      const max = cubeCenter[axis] + halfSize;
+
+      if (Math.abs(dir) < 1e-8) {
+        if (origin < min || origin > max) return null;
+        continue;
+      }
+
+      const inv = 1 / dir;
+      const t1 = (min - origin) * inv;
+      const t2 = (max - origin) * inv;
+      const near = Math.min(t1, t2);
+      const far = Math.max(t1, t2);
+
+      if (near > tMin) {
+        tMin = near;
+        normal = [0, 0, 0];
+        normal[axis] = dir > 0 ? -1 : 1;
+      }
+      tMax = Math.min(tMax, far);
+
+      if (tMin > tMax) return null;
+    }
+
+    if (tMax < 0 || tMin > tMax) {
+      return null;
+    }
+
+    return tMin >= 0 ? { t: tMin, normal } : { t: tMax, normal: null };
+  }
+}
+
+// ============================================================
+// SOLUTION RENDERER
+// ============================================================
+
+class SolutionRenderer extends PuzzleRenderer {
+  constructor(canvas, options = {}) {
+    super(canvas, options);
+    this.solutions = options.solutions || this.puzzle.solutions;
+    this.target = options.target || null;
+    this.currentSolution = 0;
+    this._centerSource = null;
+    this._center = ZERO_OFFSET;
+    // Piece picked out from outside the canvas (e.g. LayerSliceView), -1 for none
+    this.hoveredPiece = -1;
+    // Called after the shown solution changes
+    this.onSolutionChange = null;
+  }
+
+  setSolution(index) {
+    this.currentSolution = index;
+    if (this.onSolutionChange) this.onSolutionChange(this);
+    this.announce();
+  }
+
+  setHoveredPiece(pieceIndex) {
+    this.hoveredPiece = pieceIndex;
+  }
+
+  _canExplode() {
+    return true;
+  }
+
+  // "Soma solution 12 of 240: red L (bottom, left and centre, front); …"
+  describe() {
+    const solution = this._getSolution();
+    if (!solution) return `${this.puzzle.name}: no solutions yet.`;
+
+    const bounds = shapeBounds(this.target || solutionCells(solution));
+    const pieces = solution.map(([pieceIndex, cubes]) =>
+      `${this._getPieceLabel(pieceIndex)} (${describePlacement(cubes, bounds)})`
+    );
+    return `${this.puzzle.name} solution ${this.currentSolution + 1} of ${this.solutions.length}: `
+      + `${pieces.join('; ')}.`;
+  }
+
+  // Swap in another solution list, e.g. solutions of an edited piece set or
+  // of a figure other than the cube. `target` is the list of cells they
+  // fill; without it the shape is taken from each solution.
+  setSolutions(solutions, target = null) {
+    this.solutions = solutions;
+    this.target = target;
+    this.setSolution(0);
+  }
+
+  _getSolution() {
+    return this.solutions[this.currentSolution];
+  }
+
+  // The target shape's box, or the shown solution's without a target
+  _getClipDims() {
+    const solution = this._getSolution();
+    if (!this.target && !solution) return super._getClipDims();
+    const { min, max } = shapeBounds(this.target || solutionCells(solution));
+    return [0, 1, 2].map((axis) => max[axis] - min[axis] + 1);
+  }
+
+  // Bounding-box centre of the target shape, cached as it is needed per frame
+  _getShapeCenter(solution) {
+    const source = this.target || solution;
+    if (source !== this._centerSource) {
+      this._centerSource = source;
+      this._center = shapeCenter(this.target || solutionCells(solution));
+    }
+    return this._center;
+  }
+
+  _beforeRenderSolution() {}
+
+  _getPieceOffset(pieceIndex) {
+    return ZERO_OFFSET;
+  }
+
+  _getPieceHighlight(pieceIndex) {
+    return pieceIndex === this.hoveredPiece ? 0.5 : 0;
+  }
+
+  _getWoodParams(pieceIndex) { // eslint-disable-line no-unused-vars
+    return {
+      shift: [0, 0],
+      angle: 0,
+      scale: 3.0,
+      seed: 0,
+      mix: 0.4
+    };
+  }
+
+  _getRenderPieces(solution, offsetResolver = null) {
+    const [sx, sy, sz] = this._getShapeCenter(solution);
+    const renderPieces = [];
+
+    for (const [pieceIndex, cubes] of solution) {
+      // Compute piece centroid
+      let cx = 0, cy = 0, cz = 0;
+      for (const [x, y, z] of cubes) {
+        cx += x; cy += y; cz += z;
+      }
+      cx /= cubes.length;
+      cy /= cubes.length;
+      cz /= cubes.length;
+
+      // Explosion direction, away from the centre of the shape
+      const dx = cx - sx, dy = cy - sy, dz = cz - sz;
+      const len = Math.sqrt(dx*dx + dy*dy + dz*dz) || 1;
+      const ex = dx / len, ey = dy / len, ez = dz / len;
+      const userOffset = offsetResolver
+        ? offsetResolver(pieceIndex)
+        : this._getPieceOffset(pieceIndex);
+      const ox = ex * this.explodeAmount + userOffset[0];
+      const oy = ey * this.explodeAmount + userOffset[1];
+      const oz = ez * this.explodeAmount + userOffset[2];
+      const renderCubes = [];
+
+      for (const [x, y, z] of cubes) {
+        renderCubes.push([
+          (x - sx) + ox,
+          (y - sy) + oy,
+          (z - sz) + oz
+        ]);
+      }
+
+      renderPieces.push({
+        pieceIndex,
+        color: this._getPieceColor(pieceIndex),
+        center: [(cx - sx) + ox, (cy - sy) + oy, (cz - sz) + oz],
+        cubes: renderCubes
+      });
+    }
+
+    return renderPieces;
+  }
+
+  render() {
+    if (!this._setupFrame()) return;
+    this._beforeRenderSolution();
+
+    const solution = this._getSolution();
+    if (!solution) return;
+    const renderPieces = this._getRenderPieces(solution);
+
+    for (const piece of renderPieces) {
+      this._setWoodParams(this._getWoodParams(piece.pieceIndex));
+      this._setHighlight(this._getPieceHighlight(piece.pieceIndex));
+      this._drawCubes(piece.cubes, piece.color);
+    }
+
+    this._setHighlight(0);
+  }
+
+  // The solution on screen for exporters (see export.js): cubes in their
+  // assembled places, `offset` where each piece is drawn now, and
+  // offsetAt() playing the radial explode out to maxExplode and back
+  getExplodeScene() {
+    const solution = this._getSolution();
+    if (!solution) return null;
+
+    const explodeAmount = this.explodeAmount;
+    this.explodeAmount = 0;
+    const assembled = this._getRenderPieces(solution, () => ZERO_OFFSET);
+    this.explodeAmount = 1;
+    const unit = this._getRenderPieces(solution, () => ZERO_OFFSET);
+    this.explodeAmount = explodeAmount;
+    const current = this._getRenderPieces(solution);
+
+    const difference = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+    const directions = unit.map((piece, i) => difference(piece.center, assembled[i].center));
+    const duration = 3;
+
+    return {
+      pieces: assembled.map((piece, i) => ({
+        pieceIndex: piece.pieceIndex,
+        color: piece.color,
+        cubes: piece.cubes,
+        offset: difference(current[i].center, piece.center),
+      })),
+      duration,
+      offsetAt: (i, time) => {
+        const amount = (1 - Math.cos(2 * Math.PI * time / duration)) / 2 * this.maxExplode;
+        return directions[i].map((d) => d * amount);
+      },
+    };
+  }
+}
+
+// ============================================================
+// INTRO RENDERER (hold-to-drag one piece, snap-back on release)
+// ============================================================
+
+class IntroRenderer extends SolutionRenderer {
+  constructor(canvas, options = {}) {
+    super(canvas, {
+      ...options,
+      useWoodGrain: options.useWoodGrain !== false,
+    });
+
+    this.holdThresholdMs = options.holdThresholdMs || 280;
+    this.holdMoveThresholdPx = options.holdMoveThresholdPx || 8;
+    this.pickRadiusPx = options.pickRadiusPx || 36;
+    this._bboxExcessThreshold = options.struggleBBoxExcessThreshold || 0.025;
+    this._bboxSolvedThreshold = options.struggleSolvedThreshold || 0.015;
+    this._recoveryAttemptThreshold = options.struggleAttemptThreshold || 2;
+    this._reassemblePieceDuration = options.reassemblePieceDuration || 0.5;
+    this._reassembleStagger = options.reassembleStagger || 0.055;
+    this._movingFrameThreshold = options.movingFrameThreshold || 0.015;
+    this._settleDelaySec = options.settleDelaySec || 0.12;
+    this._reassembleMinVisibleSec = options.reassembleMinVisibleSec || 0.9;
+    this._reassembleHideDelaySec = options.reassembleHideDelaySec || 0.35;
+    this._reassembleHideExcessThreshold = options.reassembleHideExcessThreshold || 0.018;
+    this._reassembleExplodeShowThreshold = options.reassembleExplodeShowThreshold || 0.04;
     this._reassembleExplodeHideThreshold = options.reassembleExplodeHideThreshold || 0.02;
 
     this._springStrength = options.physicsSpringStrength || 20.0;
@@ -599,14 +1648,18 @@ class IntroRenderer extends SolutionRenderer {
     this._touchEpsilon = options.touchEpsilon || 0.03;
     this._cubeSize = 0.9; // geometry side length: 2 * 0.45
 
+    const pieceCount = this.puzzle.pieces.length;
     this.draggingPiece = -1;
     this.highlightedPiece = -1;
-    this._pieceOffsets = Array.from({ length: PIECES.length }, () => [0, 0, 0]);
-    this._pieceVelocities = Array.from({ length: PIECES.length }, () => [0, 0, 0]);
-    this._lastMotionOffsets = Array.from({ length: PIECES.length }, () => [0, 0, 0]);
+    this._pieceOffsets = Array.from({ length: pieceCount }, () => [0, 0, 0]);
+    this._pieceVelocities = Array.from({ length: pieceCount }, () => [0, 0, 0]);
+    this._lastMotionOffsets = Array.from({ length: pieceCount }, () => [0, 0, 0]);
     this._dragVelocity = [0, 0, 0];
     this._lastDragMoveSec = 0;
     this._pressState = null;
+    // Piece picked up with the keyboard, and how far it has been nudged
+    this._keyboardPiece = -1;
+    this._keyboardDragPx = 0;
     this._recoveryAttemptCount = 0;
     this._bboxExcess = 0;
     this._reassembleState = null;
@@ -643,18 +1696,28 @@ class IntroRenderer extends SolutionRenderer {
     this._updateStruggleDetection();
   }
 
+  // Pieces settle and reassemble over time, and the reassemble button
+  // waits for them to have been still a moment
+  isAnimating() {
+    return super.isAnimating()
+      || !!this._reassembleState
+      || this.draggingPiece >= 0
+      || this._settledStillTime < this._settleDelaySec + 1;
+  }
+
   _getPieceOffset(pieceIndex) {
     return this._pieceOffsets[pieceIndex] || ZERO_OFFSET;
   }
 
   _getPieceHighlight(pieceIndex) {
-    if (pieceIndex !== this.highlightedPiece) return 0;
+    if (pieceIndex !== this.highlightedPiece) return super._getPieceHighlight(pieceIndex);
     const pulse = 0.5 + 0.5 * Math.sin(this._timeSec * 8);
     return 0.35 + pulse * 0.35;
   }
 
   _getWoodParams(pieceIndex) {
-    return WOOD_GRAIN_VARIANTS[pieceIndex] || WOOD_GRAIN_VARIANTS[0];
+    const variants = this.puzzle.woodGrainVariants || WOOD_GRAIN_VARIANTS;
+    return variants[pieceIndex % variants.length];
   }
 
   setReassembleButton(button) {
@@ -682,11 +1745,102 @@ class IntroRenderer extends SolutionRenderer {
     this._syncExplodeSlider();
   }
 
+  // ---- Keyboard ----
+
+  // On top of the camera keys: P and Shift+P pick up the next and previous
+  // piece, Shift+arrows nudge it across the screen as a drag would, and
+  // Escape lets go of it so it settles back like a dropped piece
+  handleKey(e) {
+    if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+      if (e.key === 'p' || e.key === 'P') {
+        this._cycleKeyboardPiece(e.shiftKey ? -1 : 1);
+        return true;
+      }
+      if (e.key === 'Escape' && this._keyboardPiece >= 0) {
+        this._releaseKeyboardPiece();
+        return true;
+      }
+      const direction = ARROW_KEY_DIRECTIONS[e.key];
+      if (direction && e.shiftKey && this._keyboardPiece >= 0) {
+        this._keyboardDragPx += KEY_NUDGE_PX;
+        this._applyDragDelta(
+          this._keyboardPiece,
+          direction[0] * KEY_NUDGE_PX,
+          direction[1] * KEY_NUDGE_PX,
+          e.timeStamp * 0.001
+        );
+        return true;
+      }
+    }
+    return super.handleKey(e);
+  }
+
+  describeKeys() {
+    return `${super.describeKeys()} P picks up a piece, Shift with the arrow keys moves it `
+      + 'and Escape lets go.';
+  }
+
+  describe() {
+    const held = this._keyboardPiece >= 0 ? ` Holding the ${this._getPieceLabel(this._keyboardPiece)}.` : '';
+    return `${super.describe()}${held}`;
+  }
+
+  _cycleKeyboardPiece(delta) {
+    if (this._reassembleState) return;
+
+    const count = this.puzzle.pieces.length;
+    const current = this._keyboardPiece;
+    const next = current < 0
+      ? (delta > 0 ? 0 : count - 1)
+      : (current + delta + count) % count;
+
+    this._releaseKeyboardPiece();
+    this.camera.gestures.cancel();
+    this._keyboardPiece = next;
+    this._keyboardDragPx = 0;
+    this.draggingPiece = next;
+    this.highlightedPiece = next;
+    this._dragVelocity[0] = 0;
+    this._dragVelocity[1] = 0;
+    this._dragVelocity[2] = 0;
+    this._lastDragMoveSec = 0;
+
+    const pieceVelocity = this._pieceVelocities[next];
+    pieceVelocity[0] = 0;
+    pieceVelocity[1] = 0;
+    pieceVelocity[2] = 0;
+    this.announce(`Holding the ${this._getPieceLabel(next)}.`);
+  }
+
+  _releaseKeyboardPiece() {
+    const pieceIndex = this._keyboardPiece;
+    if (pieceIndex < 0) return;
+    this._keyboardPiece = -1;
+
+    if (this.draggingPiece === pieceIndex) {
+      this.draggingPiece = -1;
+      this.highlightedPiece = -1;
+    }
+    this._dragVelocity[0] = 0;
+    this._dragVelocity[1] = 0;
+    this._dragVelocity[2] = 0;
+    this._lastDragMoveSec = 0;
+
+    const pieceVelocity = this._pieceVelocities[pieceIndex];
+    pieceVelocity[0] = 0;
+    pieceVelocity[1] = 0;
+    pieceVelocity[2] = 0;
+    this._recordRecoveryAttempt(this._keyboardDragPx);
+    this.announce(`Let go of the ${this._getPieceLabel(pieceIndex)}.`);
+  }
+
   startReassembleAnimation() {
     if (this._reassembleState) return;
 
+    this._releaseKeyboardPiece();
+
     if (this.draggingPiece >= 0) {
-      this._cancelHold(true);
+      this.camera.gestures.cancel();
     }
 
     const startOffsets = this._pieceOffsets.map((offset) => [offset[0], offset[1], offset[2]]);
@@ -697,7 +1851,7 @@ class IntroRenderer extends SolutionRenderer {
       }))
       .sort((a, b) => b.magnitude - a.magnitude);
 
-    const delays = new Array(PIECES.length).fill(0);
+    const delays = new Array(this.puzzle.pieces.length).fill(0);
     for (let rank = 0; rank < sorted.length; rank++) {
       delays[sorted[rank].pieceIndex] = rank * this._reassembleStagger;
     }
@@ -734,7 +1888,7 @@ class IntroRenderer extends SolutionRenderer {
     this._syncExplodeSlider();
     let allDone = true;
 
-    for (let pieceIndex = 0; pieceIndex < PIECES.length; pieceIndex++) {
+    for (let pieceIndex = 0; pieceIndex < this.puzzle.pieces.length; pieceIndex++) {
       const delay = this._reassembleState.delays[pieceIndex];
       const startOffset = this._reassembleState.startOffsets[pieceIndex];
       const velocity = this._pieceVelocities[pieceIndex];
@@ -914,15 +2068,26 @@ class IntroRenderer extends SolutionRenderer {
 
   _syncExplodeSlider() {
     if (!this._explodeSlider) return;
-    const clamped = Math.max(0, Math.min(2, this.explodeAmount));
-    const sliderValue = Math.round(clamped * 50);
+    const clamped = Math.max(0, Math.min(this.maxExplode, this.explodeAmount));
+    const sliderValue = Math.round(clamped / this.maxExplode * 100);
     if (String(sliderValue) !== this._explodeSlider.value) {
       this._explodeSlider.value = String(sliderValue);
     }
   }
 
+  // Pieces may be pulled about one cube clear of the shape's widest side
+  // (2.5 for the 3x3x3 cube)
+  _getMaxDragOffset() {
+    const { min, max } = shapeBounds(this.target || solutionCells(this._getSolution()));
+    const extent = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) + 1;
+    return extent * 0.5 + 1;
+  }
+
+  // Compares the current layout against the same shape with every piece at
+  // rest; both boxes come from the shape-centred render positions, so this
+  // works for any target, not just the cube.
   _computeBoundingBoxMetrics() {
-    const solution = SOLUTIONS[this.currentSolution];
+    const solution = this._getSolution();
     const currentPieces = this._getRenderPieces(solution);
     const tightestPieces = this._getRenderPieces(solution, () => ZERO_OFFSET);
 
@@ -1014,8 +2179,8 @@ class IntroRenderer extends SolutionRenderer {
   }
 
   _buildPiecesByIndex() {
-    const renderPieces = this._getRenderPieces(SOLUTIONS[this.currentSolution]);
-    const piecesByIndex = new Array(PIECES.length);
+    const renderPieces = this._getRenderPieces(this._getSolution());
+    const piecesByIndex = new Array(this.puzzle.pieces.length);
     for (const piece of renderPieces) {
       piecesByIndex[piece.pieceIndex] = piece;
     }
@@ -1225,160 +2390,55 @@ class IntroRenderer extends SolutionRenderer {
     }
   }
 
+  // Press and hold on a piece to pick it up; the camera's gesture arbiter
+  // keeps that apart from orbiting, pinching and page scroll
   _bindInteractionEvents() {
-    this._onMouseDown = (e) => {
-      if (e.button !== 0) return;
-      this._beginHold('mouse', 0, e.clientX, e.clientY);
-    };
-
-    this._onMouseMove = (e) => {
-      this._updateHold('mouse', 0, e.clientX, e.clientY, e);
-    };
-
-    this._onMouseUp = () => {
-      this._endHold('mouse', 0);
-    };
-
-    this._onTouchStart = (e) => {
-      if (e.touches.length !== 1) {
-        this._cancelHold(true);
-        return;
-      }
-      const touch = e.touches[0];
-      this._beginHold('touch', touch.identifier, touch.clientX, touch.clientY);
-    };
-
-    this._onTouchMove = (e) => {
-      const state = this._pressState;
-      if (!state || state.kind !== 'touch') return;
-
-      if (e.touches.length !== 1) {
-        this._cancelHold(true);
-        return;
-      }
-
-      let touch = null;
-      for (let i = 0; i < e.touches.length; i++) {
-        if (e.touches[i].identifier === state.id) {
-          touch = e.touches[i];
-          break;
-        }
-      }
-      if (!touch) return;
-
-      this._updateHold('touch', state.id, touch.clientX, touch.clientY, e);
-    };
-
-    this._onTouchEnd = (e) => {
-      const state = this._pressState;
-      if (!state || state.kind !== 'touch') return;
-
-      for (let i = 0; i < e.touches.length; i++) {
-        if (e.touches[i].identifier === state.id) return;
-      }
-      this._endHold('touch', state.id);
-    };
-
-    this._onTouchCancel = () => {
-      this._cancelHold(true);
-    };
-
-    this._onWindowBlur = () => {
-      this._cancelHold(true);
-    };
-
-    this.canvas.addEventListener('mousedown', this._onMouseDown);
-    window.addEventListener('mousemove', this._onMouseMove, { passive: false });
-    window.addEventListener('mouseup', this._onMouseUp);
-
-    this.canvas.addEventListener('touchstart', this._onTouchStart, { passive: true });
-    this.canvas.addEventListener('touchmove', this._onTouchMove, { passive: false });
-    this.canvas.addEventListener('touchend', this._onTouchEnd, { passive: true });
-    this.canvas.addEventListener('touchcancel', this._onTouchCancel, { passive: true });
-    window.addEventListener('blur', this._onWindowBlur);
+    this.camera.gestures.addHold({
+      delayMs: this.holdThresholdMs,
+      slopPx: this.holdMoveThresholdPx,
+      press: (clientX, clientY) => {
+        if (this._reassembleState) return null;
+        this._releaseKeyboardPiece();
+        const pieceIndex = this._pickPieceAt(clientX, clientY);
+        return pieceIndex >= 0 ? pieceIndex : null;
+      },
+      begin: (pieceIndex) => this._beginHold(pieceIndex),
+      move: (dx, dy, e) => this._updateHold(dx, dy, e),
+      end: (e, cancelled) => this._endHold(cancelled),
+    });
+    // A piece held from the keyboard is dropped when focus moves on
+    this.canvas.addEventListener('blur', () => this._releaseKeyboardPiece());
   }
 
-  _beginHold(kind, id, clientX, clientY) {
-    if (this._reassembleState) return;
-    this._cancelHold(false);
-
-    const pieceIndex = this._pickPieceAt(clientX, clientY);
-    if (pieceIndex < 0) return;
-
-    const state = {
-      kind,
-      id,
-      pieceIndex,
-      startX: clientX,
-      startY: clientY,
-      lastX: clientX,
-      lastY: clientY,
-      dragDistancePx: 0,
-      active: false,
-      timerId: 0,
-    };
-
-    state.timerId = window.setTimeout(() => {
-      if (this._pressState !== state) return;
-
-      const moveDist = Math.hypot(state.lastX - state.startX, state.lastY - state.startY);
-      if (moveDist > this.holdMoveThresholdPx) return;
-
-      state.active = true;
-      this.draggingPiece = state.pieceIndex;
-      this.highlightedPiece = state.pieceIndex;
-      this._dragVelocity[0] = 0;
-      this._dragVelocity[1] = 0;
-      this._dragVelocity[2] = 0;
-      this._lastDragMoveSec = performance.now() / 1000;
-
-      const pieceVelocity = this._pieceVelocities[state.pieceIndex];
-      pieceVelocity[0] = 0;
-      pieceVelocity[1] = 0;
-      pieceVelocity[2] = 0;
-
-      this.camera.setInputLocked(true);
-    }, this.holdThresholdMs);
+  _beginHold(pieceIndex) {
+    this._pressState = { pieceIndex, dragDistancePx: 0 };
+    this.draggingPiece = pieceIndex;
+    this.highlightedPiece = pieceIndex;
+    this._dragVelocity[0] = 0;
+    this._dragVelocity[1] = 0;
+    this._dragVelocity[2] = 0;
+    this._lastDragMoveSec = performance.now() / 1000;
 
-    this._pressState = state;
+    const pieceVelocity = this._pieceVelocities[pieceIndex];
+    pieceVelocity[0] = 0;
+    pieceVelocity[1] = 0;
+    pieceVelocity[2] = 0;
   }
 
-  _updateHold(kind, id, clientX, clientY, event) {
+  _updateHold(dx, dy, event) {
     const state = this._pressState;
     if (!state) return;
-    if (state.kind !== kind || state.id !== id) return;
-
-    if (!state.active) {
-      state.lastX = clientX;
-      state.lastY = clientY;
-
-      const moveDist = Math.hypot(clientX - state.startX, clientY - state.startY);
-      if (moveDist > this.holdMoveThresholdPx) {
-        this._cancelHold(false);
-      }
-      return;
-    }
 
     event.preventDefault();
-
-    const dx = clientX - state.lastX;
-    const dy = clientY - state.lastY;
-    state.lastX = clientX;
-    state.lastY = clientY;
     state.dragDistancePx += Math.hypot(dx, dy);
-
     this._applyDragDelta(state.pieceIndex, dx, dy, event.timeStamp * 0.001);
   }
 
-  _endHold(kind, id) {
+  // Cancelled holds (another gesture, the window losing focus, the
+  // reassemble button) don't count as attempts to solve the puzzle
+  _endHold(cancelled) {
     const state = this._pressState;
     if (!state) return;
-    if (state.kind !== kind || state.id !== id) return;
-
-    const wasActive = state.active;
-    const pieceIndex = state.pieceIndex;
-    const dragDistancePx = state.dragDistancePx || 0;
-    window.clearTimeout(state.timerId);
     this._pressState = null;
 
     this.draggingPiece = -1;
@@ -1388,44 +2448,11 @@ class IntroRenderer extends SolutionRenderer {
     this._dragVelocity[2] = 0;
     this._lastDragMoveSec = 0;
 
-    if (wasActive) {
-      const pieceVelocity = this._pieceVelocities[pieceIndex];
-      pieceVelocity[0] = 0;
-      pieceVelocity[1] = 0;
-      pieceVelocity[2] = 0;
-      this._recordRecoveryAttempt(dragDistancePx);
-      this.camera.setInputLocked(false);
-    }
-  }
-
-  _cancelHold(unlockCamera) {
-    if (!this._pressState) {
-      if (unlockCamera) this.camera.setInputLocked(false);
-      return;
-    }
-
-    const wasActive = this._pressState.active;
-    const pieceIndex = this._pressState.pieceIndex;
-    window.clearTimeout(this._pressState.timerId);
-    this._pressState = null;
-
-    this.draggingPiece = -1;
-    this.highlightedPiece = -1;
-    this._dragVelocity[0] = 0;
-    this._dragVelocity[1] = 0;
-    this._dragVelocity[2] = 0;
-    this._lastDragMoveSec = 0;
-
-    if (wasActive && Number.isInteger(pieceIndex) && this._pieceVelocities[pieceIndex]) {
-      const pieceVelocity = this._pieceVelocities[pieceIndex];
-      pieceVelocity[0] = 0;
-      pieceVelocity[1] = 0;
-      pieceVelocity[2] = 0;
-    }
-
-    if (unlockCamera || wasActive) {
-      this.camera.setInputLocked(false);
-    }
+    const pieceVelocity = this._pieceVelocities[state.pieceIndex];
+    pieceVelocity[0] = 0;
+    pieceVelocity[1] = 0;
+    pieceVelocity[2] = 0;
+    if (!cancelled) this._recordRecoveryAttempt(state.dragDistancePx);
   }
 
   _pickPieceAt(clientX, clientY) {
@@ -1435,152 +2462,46 @@ class IntroRenderer extends SolutionRenderer {
 
     if (
       localX < 0 || localX > rect.width ||
-      localY < 0 || localY > rect.height
-    ) {
-      return -1;
-    }
-
-    const ray = this._buildPickRay(localX, localY, rect.width, rect.height);
-    if (!ray) return -1;
-
-    const renderPieces = this._getRenderPieces(SOLUTIONS[this.currentSolution]);
-    let bestPiece = -1;
-    let bestT = Infinity;
-
-    for (const piece of renderPieces) {
-      for (const cube of piece.cubes) {
-        const t = this._rayIntersectCube(
-          ray.origin,
-          ray.direction,
-          cube,
-          this._cubeSize * 0.5 + 0.015
-        );
-        if (t !== null && t < bestT) {
-          bestT = t;
-          bestPiece = piece.pieceIndex;
-        }
-      }
-    }
-
-    return bestPiece;
-  }
-
-  _buildPickRay(localX, localY, width, height) {
-    if (width <= 0 || height <= 0) return null;
-
-    const ndcX = (localX / width) * 2 - 1;
-    const ndcY = 1 - (localY / height) * 2;
-    const aspect = width / height;
-    const tanHalfFov = Math.tan(this._fovY * 0.5);
-
-    const eye = this.camera.getEyePosition();
-    const target = this.camera.target || Vec3.create(0, 0, 0);
-
-    const forward = Vec3.create(
-      target[0] - eye[0],
-      target[1] - eye[1],
-      target[2] - eye[2]
-    );
-    Vec3.normalize(forward, forward);
-
-    const worldUp = Vec3.create(0, 1, 0);
-    const right = Vec3.create();
-    Vec3.cross(right, forward, worldUp);
-    if (Vec3.length(right) < 0.0001) {
-      right[0] = 1;
-      right[1] = 0;
-      right[2] = 0;
-    } else {
-      Vec3.normalize(right, right);
-    }
-
-    const up = Vec3.create();
-    Vec3.cross(up, right, forward);
-    Vec3.normalize(up, up);
-
-    const sx = ndcX * aspect * tanHalfFov;
-    const sy = ndcY * tanHalfFov;
-
-    const direction = Vec3.create(
-      forward[0] + right[0] * sx + up[0] * sy,
-      forward[1] + right[1] * sx + up[1] * sy,
-      forward[2] + right[2] * sx + up[2] * sy
-    );
-    Vec3.normalize(direction, direction);
-
-    return { origin: eye, direction };
-  }
-
-  _rayIntersectCube(rayOrigin, rayDir, cubeCenter, halfSize) {
-    const minX = cubeCenter[0] - halfSize;
-    const minY = cubeCenter[1] - halfSize;
-    const minZ = cubeCenter[2] - halfSize;
-    const maxX = cubeCenter[0] + halfSize;
-    const maxY = cubeCenter[1] + halfSize;
-    const maxZ = cubeCenter[2] + halfSize;
-
-    let tMin = -Infinity;
-    let tMax = Infinity;
-
-    const axes = [
-      [rayOrigin[0], rayDir[0], minX, maxX],
-      [rayOrigin[1], rayDir[1], minY, maxY],
-      [rayOrigin[2], rayDir[2], minZ, maxZ],
-    ];
-
-    for (const [origin, dir, min, max] of axes) {
-      if (Math.abs(dir) < 1e-8) {
-        if (origin < min || origin > max) return null;
-        continue;
-      }
-
-      const inv = 1 / dir;
-      const t1 = (min - origin) * inv;
-      const t2 = (max - origin) * inv;
-      const near = Math.min(t1, t2);
-      const far = Math.max(t1, t2);
+      localY < 0 || localY > rect.height
+    ) {
+      return -1;
+    }
 
-      tMin = Math.max(tMin, near);
-      tMax = Math.min(tMax, far);
+    const ray = this._buildPickRay(localX, localY, rect.width, rect.height);
+    if (!ray) return -1;
 
-      if (tMin > tMax) return null;
-    }
+    const renderPieces = this._getRenderPieces(this._getSolution());
+    let bestPiece = -1;
+    let bestT = Infinity;
 
-    if (tMax < 0 || tMin > tMax) {
-      return null;
+    for (const piece of renderPieces) {
+      for (const cube of piece.cubes) {
+        const t = this._rayIntersectCube(
+          ray.origin,
+          ray.direction,
+          cube,
+          this._cubeSize * 0.5 + 0.015
+        );
+        if (t !== null && t < bestT) {
+          bestT = t;
+          bestPiece = piece.pieceIndex;
+        }
+      }
     }
 
-    return tMin >= 0 ? tMin : tMax;
+    return bestPiece;
   }
 
   _applyDragDelta(pieceIndex, dxPixels, dyPixels, eventTimeSec) {
     const offset = this._pieceOffsets[pieceIndex];
     if (!offset) return;
 
-    const renderPieces = this._getRenderPieces(SOLUTIONS[this.currentSolution]);
+    const renderPieces = this._getRenderPieces(this._getSolution());
     const piece = renderPieces.find((p) => p.pieceIndex === pieceIndex);
     if (!piece) return;
 
     const eye = this.camera.getEyePosition();
-    const target = this.camera.target || Vec3.create(0, 0, 0);
-
-    const forward = Vec3.create(target[0] - eye[0], target[1] - eye[1], target[2] - eye[2]);
-    Vec3.normalize(forward, forward);
-
-    const worldUp = Vec3.create(0, 1, 0);
-    const right = Vec3.create();
-    Vec3.cross(right, forward, worldUp);
-    if (Vec3.length(right) < 0.0001) {
-      right[0] = 1;
-      right[1] = 0;
-      right[2] = 0;
-    } else {
-      Vec3.normalize(right, right);
-    }
-
-    const up = Vec3.create();
-    Vec3.cross(up, right, forward);
-    Vec3.normalize(up, up);
+    const { right, up, forward } = this.camera.getBasis();
 
     const toPiece = Vec3.create(
       piece.center[0] - eye[0],
@@ -1601,8 +2522,9 @@ class IntroRenderer extends SolutionRenderer {
     offset[2] += right[2] * dxPixels * worldPerPixel + up[2] * (-dyPixels) * worldPerPixel;
 
     const magnitude = Math.sqrt(offset[0] * offset[0] + offset[1] * offset[1] + offset[2] * offset[2]);
-    if (magnitude > this._maxDragOffset) {
-      const scale = this._maxDragOffset / magnitude;
+    const maxDragOffset = this._getMaxDragOffset();
+    if (magnitude > maxDragOffset) {
+      const scale = maxDragOffset / magnitude;
       offset[0] *= scale;
       offset[1] *= scale;
       offset[2] *= scale;
@@ -1629,14 +2551,18 @@ class IntroRenderer extends SolutionRenderer {
 // PIECES RENDERER (shows all 7 pieces laid out)
 // ============================================================
 
-class PiecesRenderer extends CubeRenderer {
+class PiecesRenderer extends PuzzleRenderer {
   constructor(canvas, options = {}) {
     super(canvas, { ...options, distance: 12, minDistance: 6, maxDistance: 20 });
   }
 
+  describe() {
+    const pieces = PIECES.map((piece, i) => `${this._getPieceLabel(i)} (${piece.length} cubes)`);
+    return `The ${PIECES.length} Soma pieces, top row then bottom row: ${pieces.join(', ')}.`;
+  }
+
   render() {
     if (!this._setupFrame()) return;
-    const gl = this.gl;
 
     // Layout: 4 pieces on top row, 3 on bottom
     const offsets = [
@@ -1662,25 +2588,11 @@ class PiecesRenderer extends CubeRenderer {
         const px = ox + (x - centerX);
         const py = oy + (y - centerY);
         const pz = oz + z;
-
-        const model = Mat4.create();
-        Mat4.translate(model, model, Vec3.create(px, py, pz));
-        gl.uniformMatrix4fv(this.uModel, false, model);
-
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
-        gl.enableVertexAttribArray(this.aPosition);
-        gl.vertexAttribPointer(this.aPosition, 3, gl.FLOAT, false, 0, 0);
-
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.normalBuffer);
-        gl.enableVertexAttribArray(this.aNormal);
-        gl.vertexAttribPointer(this.aNormal, 3, gl.FLOAT, false, 0, 0);
-
-        gl.disableVertexAttribArray(this.aColor);
-        gl.vertexAttrib3f(this.aColor, color[0], color[1], color[2]);
-
-        gl.drawArrays(gl.TRIANGLES, 0, this.cubeVertexCount);
+        this._queueCube(px, py, pz, color);
       }
     }
+
+    this._flushCubes();
   }
 }
 
@@ -1688,7 +2600,7 @@ class PiecesRenderer extends CubeRenderer {
 // ROTATIONS RENDERER (shows one piece in different orientations)
 // ============================================================
 
-class RotationsRenderer extends CubeRenderer {
+class RotationsRenderer extends PuzzleRenderer {
   constructor(canvas, options = {}) {
     super(canvas, { ...options, distance: 5, minDistance: 3, maxDistance: 10 });
     this.rotationIndex = 0;
@@ -1697,11 +2609,16 @@ class RotationsRenderer extends CubeRenderer {
 
   setRotation(index) {
     this.rotationIndex = index;
+    this.announce();
+  }
+
+  describe() {
+    return `The ${this._getPieceLabel(this.pieceIndex)} piece in orientation ${this.rotationIndex + 1} `
+      + `of ${ROTATIONS.length}.`;
   }
 
   render() {
     if (!this._setupFrame()) return;
-    const gl = this.gl;
 
     const piece = PIECES[this.pieceIndex];
     const color = PIECE_COLORS[this.pieceIndex];
@@ -1722,72 +2639,61 @@ class RotationsRenderer extends CubeRenderer {
     const cy = (minY + maxY) / 2;
     const cz = (minZ + maxZ) / 2;
 
-    for (const [x, y, z] of rotatedPiece) {
-      const model = Mat4.create();
-      Mat4.translate(model, model, Vec3.create(x - cx, y - cy, z - cz));
-      gl.uniformMatrix4fv(this.uModel, false, model);
-
-      gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
-      gl.enableVertexAttribArray(this.aPosition);
-      gl.vertexAttribPointer(this.aPosition, 3, gl.FLOAT, false, 0, 0);
-
-      gl.bindBuffer(gl.ARRAY_BUFFER, this.normalBuffer);
-      gl.enableVertexAttribArray(this.aNormal);
-      gl.vertexAttribPointer(this.aNormal, 3, gl.FLOAT, false, 0, 0);
-
-      gl.disableVertexAttribArray(this.aColor);
-      gl.vertexAttrib3f(this.aColor, color[0], color[1], color[2]);
-
-      gl.drawArrays(gl.TRIANGLES, 0, this.cubeVertexCount);
-    }
+    this._drawCubes(rotatedPiece.map(([x, y, z]) => [x - cx, y - cy, z - cz]), color);
   }
 }
 
 // ============================================================
-// CANONICAL RENDERER (shows solution + reflection rotated 24 ways)
+// CANONICAL RENDERER (a symmetry class: member vs. canonical form)
 // ============================================================
 
-// Note: canonical visualization shows geometry reflection only (no color swapping).
+// Left: one image of the solution under the 24 rotations and reflection.
+// Right: the canonical form every image reduces to. Reflected images swap
+// the colours of the chiral pair, since the mirrored pieces trade places.
 
-class CanonicalRenderer extends CubeRenderer {
+class CanonicalRenderer extends PuzzleRenderer {
   constructor(canvas, options = {}) {
     super(canvas, { ...options, distance: 10, minDistance: 6, maxDistance: 16 });
-    this.rotationIndex = 0;
+    this.group = createSymmetryGroup(PIECES, boxCells([3, 3, 3]), ROTATIONS);
+    this.center = shapeCenter(this.group.cells);
+    this.memberIndex = 0;
+    this.setSolution(options.solutionIndex || 0);
   }
 
-  setRotation(index) {
-    this.rotationIndex = index;
+  setSolution(index) {
+    this.solutionIndex = index;
+    this.canonical = canonicalizeSolution(this.group, SOLUTIONS[index]);
+    this.members = solutionOrbit(this.group, SOLUTIONS[index]);
+    this.setMember(0);
   }
 
-  _renderSolution(solution, offsetX, reflect = false) {
-    const gl = this.gl;
-    const rotate = ROTATIONS[this.rotationIndex];
-
-    for (const [pieceIndex, cubes] of solution) {
-      const color = PIECE_COLORS[pieceIndex];
-
-      for (const [x, y, z] of cubes) {
-        // Center at 1,1,1 then mirror across the x=1 plane (if needed), then rotate
-        let cx = x - 1, cy = y - 1, cz = z - 1;
-        if (reflect) cx = -cx;
-        const [rx, ry, rz] = rotate(cx, cy, cz);
-
-        const model = Mat4.create();
-        Mat4.translate(model, model, Vec3.create(rx + offsetX, ry, rz));
-        gl.uniformMatrix4fv(this.uModel, false, model);
+  setMember(index) {
+    this.memberIndex = Math.max(0, Math.min(index, this.members.length - 1));
+    this.announce();
+  }
 
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
-        gl.enableVertexAttribArray(this.aPosition);
-        gl.vertexAttribPointer(this.aPosition, 3, gl.FLOAT, false, 0, 0);
+  describe() {
+    const same = this.isCanonicalMember() ? ', which is the left one itself' : '';
+    return `Symmetry ${this.memberIndex + 1} of ${this.members.length}, `
+      + `${describeTransform(this.getMember().transform)}. Left: solution ${this.solutionIndex + 1} `
+      + `under this symmetry. Right: its canonical form${same}.`;
+  }
 
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.normalBuffer);
-        gl.enableVertexAttribArray(this.aNormal);
-        gl.vertexAttribPointer(this.aNormal, 3, gl.FLOAT, false, 0, 0);
+  getMember() {
+    return this.members[this.memberIndex];
+  }
 
-        gl.disableVertexAttribArray(this.aColor);
-        gl.vertexAttrib3f(this.aColor, color[0], color[1], color[2]);
+  // True when the shown member is itself the canonical form
+  isCanonicalMember() {
+    return this.getMember().transform.index === this.canonical.transform.index;
+  }
 
-        gl.drawArrays(gl.TRIANGLES, 0, this.cubeVertexCount);
+  _renderSolution(solution, offsetX) {
+    const [cx, cy, cz] = this.center;
+    for (const [pieceIndex, cubes] of solution) {
+      const color = PIECE_COLORS[pieceIndex];
+      for (const [x, y, z] of cubes) {
+        this._queueCube(x - cx + offsetX, y - cy, z - cz, color);
       }
     }
   }
@@ -1795,11 +2701,13 @@ class CanonicalRenderer extends CubeRenderer {
   render() {
     if (!this._setupFrame()) return;
 
-    const solution = SOLUTIONS[0];
-
-    // Original solution (left) and mirror reflection (right)
-    this._renderSolution(solution, -2.5, false);
-    this._renderSolution(solution, 2.5, true);
+    // Each cube gets the same cut, so clip from the centre of each
+    this._setClipOrigin([-2.5, 0, 0]);
+    this._renderSolution(this.getMember().solution, -2.5);
+    this._flushCubes();
+    this._setClipOrigin([2.5, 0, 0]);
+    this._renderSolution(this.canonical.solution, 2.5);
+    this._flushCubes();
   }
 }
 
@@ -1807,97 +2715,609 @@ class CanonicalRenderer extends CubeRenderer {
 // BACKTRACKING RENDERER (animated search visualization)
 // ============================================================
 
-class BacktrackRenderer extends CubeRenderer {
+class BacktrackRenderer extends PuzzleRenderer {
   constructor(canvas, options = {}) {
     super(canvas, options);
     this.step = 0;
     this.maxSteps = 100;
     this.playing = false;
-
-    // Pre-generate some "search states" for visualization
+    // Seconds for one pass through the trace while playing
+    this.playDuration = 40;
+    this._playStep = 0;
+    // Set by the page to follow playback (e.g. with a slider)
+    this.onPlayStep = null;
+    // Set by the page; called once the trace exists and maxSteps is real
+    this.onTraceReady = null;
+    this.showCollisions = options.showCollisions || false;
+    this.center = shapeCenter(boxCells([3, 3, 3]));
+
+    // The traced search takes a noticeable moment, so it runs on the first
+    // draw (figures are only drawn on screen) rather than at page load
+    this.events = null;
+    this.states = null;
+  }
+
+  _ensureTrace() {
+    if (this.states) return;
     this._generateStates();
+    if (this.onTraceReady) this.onTraceReady(this);
   }
 
+  // Runs the real search up to its first solution and records every event
   _generateStates() {
-    // Generate intermediate states showing pieces being placed
-    // Always start with at least 1 piece so we never show a blank screen
-    this.states = [];
-    const solution = SOLUTIONS[0];
-
-    for (let i = 1; i <= solution.length; i++) {
-      this.states.push(solution.slice(0, i));
-    }
+    const { events } = solvePuzzle(PIECES, ROTATIONS, { trace: true, maxSolutions: 1 });
+
+    // Collision checks are single bitmask ANDs and outnumber everything else
+    // ~50:1, so by default only placements, symmetric rejects and undos are
+    // replayed. The first kept event is always a placement, so the figure
+    // never starts blank.
+    const shown = this.showCollisions
+      ? events
+      : events.filter((event) => event.type !== 'try' && event.reason !== 'collision');
+
+    this.events = shown;
+    this.states = buildTraceStates(shown);
     this.maxSteps = this.states.length - 1;
   }
 
   setStep(step) {
+    this._ensureTrace();
     this.step = Math.max(0, Math.min(step, this.maxSteps));
   }
 
+  // Plays the trace on a loop, advanced as frames are drawn, so it pauses
+  // while the figure is off screen and each frame shows its own step
+  play() {
+    this.playing = true;
+    this._playStep = this.step;
+  }
+
+  isAnimating() {
+    return this.playing || super.isAnimating();
+  }
+
+  _advancePlayback(dt) {
+    const stepsPerSecond = Math.max(2, this.maxSteps / this.playDuration);
+    this._playStep += stepsPerSecond * dt;
+    if (this._playStep > this.maxSteps + stepsPerSecond * 1.5) {
+      this._playStep = 0; // Loop back to start after pausing on complete state
+    }
+    this.setStep(Math.min(this._playStep, this.maxSteps));
+    if (this.onPlayStep) this.onPlayStep(this.step);
+  }
+
+  getCurrentEvent() {
+    const state = this.states && this.states[Math.floor(this.step)];
+    return state ? state.event : null;
+  }
+
+  // Only the slider announces steps (see the page setup); the autoplay
+  // would talk over everything else
+  describe() {
+    const stepIndex = Math.floor(this.step);
+    const state = this.states && this.states[stepIndex];
+    if (!state) return 'Backtracking search.';
+
+    const { event, placed } = state;
+    const piece = event.pieceIndex === undefined ? '' : `the ${this._getPieceLabel(event.pieceIndex)}`;
+    const reasons = {
+      collision: 'overlaps the pieces already placed',
+      region: 'would wall off a gap too small for any piece',
+      symmetric: 'would repeat a rotated position',
+    };
+    const actions = {
+      try: `trying ${piece}`,
+      reject: `${piece} ${reasons[event.reason] || 'does not fit'}`,
+      place: `placed ${piece}`,
+      undo: `took back ${piece}`,
+      solution: 'found a solution',
+    };
+    const action = actions[event.type] || event.type;
+    return `Backtracking search, step ${stepIndex + 1} of ${this.maxSteps + 1}: ${action}. `
+      + `${placed.length} of ${PIECES.length} pieces placed.`;
+  }
+
+  _drawPiece(cubes, color, lift = 0) {
+    const [cx, cy, cz] = this.center;
+    for (const [x, y, z] of cubes) {
+      this._queueCube(x - cx, y - cy + lift, z - cz, color);
+    }
+    this._flushCubes();
+  }
+
   render() {
     if (!this._setupFrame()) return;
-    const gl = this.gl;
+    this._ensureTrace();
+    if (this.playing) this._advancePlayback(this._deltaTime);
 
     const stateIndex = Math.max(0, Math.min(Math.floor(this.step), this.states.length - 1));
-    const state = this.states[stateIndex] || this.states[this.states.length - 1] || [];
+    const state = this.states[stateIndex];
+    if (!state) return;
 
-    for (const [pieceIndex, cubes] of state) {
+    const { event, placed, candidate } = state;
+
+    for (let i = 0; i < placed.length; i++) {
+      const [pieceIndex, cubes] = placed[i];
+      const justPlaced = event.type === 'place' && i === placed.length - 1;
+      this._setHighlight(justPlaced ? 0.6 : 0);
+      this._drawPiece(cubes, PIECE_COLORS[pieceIndex]);
+    }
+
+    if (candidate) {
+      const [pieceIndex, cubes] = candidate;
       const color = PIECE_COLORS[pieceIndex];
 
+      if (event.type === 'try') {
+        this._setHighlight(0.6);
+        this._drawPiece(cubes, color);
+      } else {
+        // Rejected or retreating pieces are drawn washed out; undone pieces
+        // are also lifted out of the cube so the retreat reads clearly.
+        const muted = [
+          color[0] * 0.35 + 0.45,
+          color[1] * 0.35 + 0.45,
+          color[2] * 0.35 + 0.45,
+        ];
+        this._setHighlight(0);
+        this._drawPiece(cubes, muted, event.type === 'undo' ? 0.6 : 0);
+      }
+    }
+
+    this._setHighlight(0);
+  }
+}
+
+// ============================================================
+// SOMA FIGURES (catalog from figures-data.js, solved on demand)
+// ============================================================
+
+const figureSolutionCache = new Map();
+
+function getFigureCells(figure) {
+  if (!figure.cells) figure.cells = layersToCells(figure.layers);
+  return figure.cells;
+}
+
+// Unique solutions of a figure up to its own symmetries, or null if the
+// figure has not been solved yet. The cube reuses the precomputed SOLUTIONS.
+function getCachedFigureSolutions(figure) {
+  if (figure.id === 'cube') return SOLUTIONS;
+  return figureSolutionCache.get(figure.id) || null;
+}
+
+function cacheFigureSolutions(figure, solutions) {
+  figureSolutionCache.set(figure.id, solutions);
+}
+
+// Solves a figure in the page. Larger figures take around half a second (far
+// longer on phones), so the page only does this when it cannot solve them
+// in SolverClient's worker.
+function getFigureSolutions(figure) {
+  let solutions = getCachedFigureSolutions(figure);
+  if (!solutions) {
+    solutions = enumerateUniquePolycubeSolutions(PIECES, getFigureCells(figure), ROTATIONS).solutions;
+    cacheFigureSolutions(figure, solutions);
+  }
+  return solutions;
+}
+
+// ============================================================
+// FIGURE GALLERY RENDERER (thumbnails of every figure, click to pick)
+// ============================================================
+
+class FigureGalleryRenderer extends PuzzleRenderer {
+  constructor(canvas, options = {}) {
+    super(canvas, { ...options, distance: options.distance || 20, maxDistance: 32 });
+    this.figures = options.figures || SOMA_FIGURES;
+    this.columns = options.columns || 4;
+    this.selectedFigure = 0;
+    this.onSelect = options.onSelect || null;
+
+    this._layoutFigures();
+    this._bindClick((e) => {
+      const figureIndex = this._pickFigureAt(e.clientX, e.clientY);
+      if (figureIndex >= 0) this.selectFigure(figureIndex);
+    });
+  }
+
+  // Every figure gets a same-sized slot so the grid stays regular
+  _layoutFigures() {
+    const slotSize = Math.max(...this.figures.map((figure) => {
+      const { min, max } = shapeBounds(getFigureCells(figure));
+      return Math.max(max[0] - min[0], max[2] - min[2]) + 1;
+    })) + 1.5;
+    const rows = Math.ceil(this.figures.length / this.columns);
+
+    this.thumbnails = this.figures.map((figure, i) => {
+      const cells = getFigureCells(figure);
+      const [cx, cy, cz] = shapeCenter(cells);
+      const column = i % this.columns;
+      const row = Math.floor(i / this.columns);
+      const slotX = (column - (this.columns - 1) / 2) * slotSize;
+      const slotZ = (row - (rows - 1) / 2) * slotSize;
+
+      return cells.map(([x, y, z]) => [x - cx + slotX, y - cy, z - cz + slotZ]);
+    });
+  }
+
+  selectFigure(index) {
+    this.selectedFigure = index;
+    if (this.onSelect) this.onSelect(this.figures[index], index);
+  }
+
+  // The figure that gets picked announces its solutions, so this one only
+  // describes itself
+  describe() {
+    const selected = this.figures[this.selectedFigure];
+    return `${this.figures.length} figures to build from the Soma pieces: `
+      + `${this.figures.map((figure) => figure.name).join(', ')}. Selected: ${selected.name}.`;
+  }
+
+  _pickFigureAt(clientX, clientY) {
+    const rect = this.canvas.getBoundingClientRect();
+    const ray = this._buildPickRay(clientX - rect.left, clientY - rect.top, rect.width, rect.height);
+    if (!ray) return -1;
+
+    let bestFigure = -1;
+    let bestT = Infinity;
+    this.thumbnails.forEach((cubes, figureIndex) => {
+      for (const cube of cubes) {
+        const t = this._rayIntersectCube(ray.origin, ray.direction, cube, 0.5);
+        if (t !== null && t < bestT) {
+          bestT = t;
+          bestFigure = figureIndex;
+        }
+      }
+    });
+    return bestFigure;
+  }
+
+  render() {
+    if (!this._setupFrame()) return;
+
+    // Unselected thumbnails share one batch; the highlighted one gets its own
+    this.thumbnails.forEach((cubes, figureIndex) => {
+      if (figureIndex === this.selectedFigure) return;
       for (const [x, y, z] of cubes) {
-        const model = Mat4.create();
-        Mat4.translate(model, model, Vec3.create(x - 1, y - 1, z - 1));
-        gl.uniformMatrix4fv(this.uModel, false, model);
+        this._queueCube(x, y, z, WOOD_COLORS[0]);
+      }
+    });
+    this._flushCubes();
+
+    const selected = this.thumbnails[this.selectedFigure];
+    if (selected) {
+      this._setHighlight(0.35);
+      this._drawCubes(selected, PIECE_COLORS[this.selectedFigure % PIECE_COLORS.length]);
+      this._setHighlight(0);
+    }
+  }
+}
+
+// ============================================================
+// CLIP CONTROLS (slider sweeping a cut through a figure)
+// ============================================================
+
+const CLIP_AXES = {
+  x: [1, 0, 0],
+  y: [0, 1, 0],
+  z: [0, 0, 1],
+};
+
+// Sweeps a clip plane through `renderer` with the range input `sliderId`
+// (0-100, 100 keeps the whole figure). The select `axisSelectId` picks the
+// direction cut away: x, y, z, or "view" for the side facing the camera
+// when the slider last moved.
+function setupClipControls(sliderId, axisSelectId, renderer) {
+  const slider = document.getElementById(sliderId);
+  if (!slider || !renderer) return;
+  const axisSelect = document.getElementById(axisSelectId);
+
+  const update = () => {
+    let normal = CLIP_AXES[axisSelect ? axisSelect.value : 'y'];
+    if (!normal) {
+      const eye = renderer.camera.getEyePosition();
+      const target = renderer.camera.target || ZERO_OFFSET;
+      normal = [eye[0] - target[0], eye[1] - target[1], eye[2] - target[2]];
+    }
+    renderer.setClipFraction(normal, parseInt(slider.value) / 100);
+  };
+
+  slider.addEventListener('input', update);
+  if (axisSelect) axisSelect.addEventListener('change', update);
+  update();
+}
+
+// ============================================================
+// LAYER SLICES (2D companion view of a SolutionRenderer)
+// ============================================================
 
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
-        gl.enableVertexAttribArray(this.aPosition);
-        gl.vertexAttribPointer(this.aPosition, 3, gl.FLOAT, false, 0, 0);
+const SVG_NS = 'http://www.w3.org/2000/svg';
 
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.normalBuffer);
-        gl.enableVertexAttribArray(this.aNormal);
-        gl.vertexAttribPointer(this.aNormal, 3, gl.FLOAT, false, 0, 0);
+// For layers along x, y and z: which axis runs across each grid, which
+// runs down it, and whether rows start from the top so y reads as up
+const SLICE_LAYOUTS = [
+  { column: 2, row: 1, flipRows: true },
+  { column: 0, row: 2, flipRows: false }, // seen from above
+  { column: 0, row: 1, flipRows: true },
+];
+
+function cssColor(color, shade = 1) {
+  const [r, g, b] = color.map((c) => Math.round(Math.min(1, c * shade) * 255));
+  return `rgb(${r}, ${g}, ${b})`;
+}
+
+// Draws the solution a SolutionRenderer shows as one grid per layer along
+// `axis` (0-2, default y) and keeps it in step with the renderer. Hovering
+// a cell highlights its piece in the 3D view.
+class LayerSliceView {
+  constructor(container, renderer, options = {}) {
+    this.container = container;
+    this.renderer = renderer;
+    this.axis = options.axis !== undefined ? options.axis : 1;
+    this.cellSize = options.cellSize || 16;
+    this._rects = [];
+
+    container.addEventListener('mouseover', (e) => {
+      const rect = e.target.closest('[data-piece]');
+      this._setHovered(rect ? parseInt(rect.getAttribute('data-piece')) : -1);
+    });
+    container.addEventListener('mouseleave', () => this._setHovered(-1));
+
+    // Keeps whatever was hooked in before (e.g. a solution table)
+    const previous = renderer.onSolutionChange;
+    renderer.onSolutionChange = (source) => {
+      if (previous) previous(source);
+      this.update();
+    };
+    this.update();
+  }
 
-        gl.disableVertexAttribArray(this.aColor);
-        gl.vertexAttrib3f(this.aColor, color[0], color[1], color[2]);
+  setAxis(axis) {
+    this.axis = axis;
+    this.update();
+  }
+
+  update() {
+    this.container.textContent = '';
+    this._rects = [];
+    this.renderer.setHoveredPiece(-1);
 
-        gl.drawArrays(gl.TRIANGLES, 0, this.cubeVertexCount);
+    const solution = this.renderer._getSolution();
+    if (!solution) return;
+
+    const pieceAt = new Map();
+    for (const [pieceIndex, cubes] of solution) {
+      for (const [x, y, z] of cubes) pieceAt.set(cellKey(x, y, z), pieceIndex);
+    }
+
+    const { min, max } = shapeBounds(this.renderer.target || solutionCells(solution));
+    const { column, row, flipRows } = SLICE_LAYOUTS[this.axis];
+    const size = this.cellSize;
+    const columns = max[column] - min[column] + 1;
+    const rows = max[row] - min[row] + 1;
+    const cell = [0, 0, 0];
+
+    for (let layer = min[this.axis]; layer <= max[this.axis]; layer++) {
+      const svg = document.createElementNS(SVG_NS, 'svg');
+      svg.setAttribute('viewBox', `-1 -1 ${columns * size + 2} ${rows * size + 2}`);
+      svg.setAttribute('width', columns * size + 2);
+      svg.setAttribute('height', rows * size + 2);
+      cell[this.axis] = layer;
+
+      for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < columns; c++) {
+          cell[column] = min[column] + c;
+          cell[row] = flipRows ? max[row] - r : min[row] + r;
+          const pieceIndex = pieceAt.get(cellKey(cell[0], cell[1], cell[2]));
+
+          const rect = document.createElementNS(SVG_NS, 'rect');
+          rect.setAttribute('x', c * size);
+          rect.setAttribute('y', r * size);
+          rect.setAttribute('width', size);
+          rect.setAttribute('height', size);
+          if (pieceIndex === undefined) {
+            rect.setAttribute('fill', '#fff');
+          } else {
+            rect.setAttribute('fill', cssColor(this.renderer._getPieceColor(pieceIndex)));
+            rect.setAttribute('data-piece', pieceIndex);
+            this._rects.push(rect);
+          }
+          svg.appendChild(rect);
+        }
       }
+
+      const figure = document.createElement('figure');
+      figure.className = 'layer-slice';
+      const caption = document.createElement('figcaption');
+      caption.textContent = `Layer ${layer - min[this.axis] + 1}`;
+      figure.append(svg, caption);
+      this.container.appendChild(figure);
+    }
+  }
+
+  _setHovered(pieceIndex) {
+    if (pieceIndex === this.renderer.hoveredPiece) return;
+    this.renderer.setHoveredPiece(pieceIndex);
+    for (const rect of this._rects) {
+      rect.classList.toggle('active', parseInt(rect.getAttribute('data-piece')) === pieceIndex);
     }
+  }
+}
+
+// Slice view in `containerId` for `renderer`, with the axis picked from
+// the select `axisSelectId` (values 0-2)
+function setupLayerSlices(containerId, axisSelectId, renderer) {
+  const container = document.getElementById(containerId);
+  if (!container || !renderer) return null;
 
-    // Draw wireframe for empty grid
-    // (simplified: just draw nothing for now, could add wireframe later)
+  const view = new LayerSliceView(container, renderer);
+  const axisSelect = document.getElementById(axisSelectId);
+  if (axisSelect) {
+    axisSelect.value = String(view.axis);
+    axisSelect.addEventListener('change', (e) => view.setAxis(parseInt(e.target.value)));
   }
+  return view;
 }
 
 // ============================================================
-// WEBGL DETECTION
+// VIEW CONTROLS (buttons turning a figure to preset or saved views)
 // ============================================================
 
-function isWebGLAvailable() {
-  try {
-    const canvas = document.createElement('canvas');
-    return !!(window.WebGLRenderingContext &&
-      (canvas.getContext('webgl') || canvas.getContext('experimental-webgl')));
-  } catch (e) {
-    return false;
+// Wires the buttons inside `containerId`: data-view="start|front|top|side|
+// saved" turn to that view, data-view-save keeps the current one. The
+// "saved" button stays disabled until something is saved.
+function setupViewControls(containerId, renderer) {
+  const container = document.getElementById(containerId);
+  if (!container || !renderer) return;
+
+  const savedButton = container.querySelector('[data-view="saved"]');
+  if (savedButton) savedButton.disabled = true;
+
+  container.addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    if (!button || !container.contains(button)) return;
+
+    if (button.hasAttribute('data-view-save')) {
+      renderer.saveView();
+      if (savedButton) savedButton.disabled = false;
+      return;
+    }
+    if (button.dataset.view) renderer.showView(button.dataset.view);
+  });
+}
+
+// ============================================================
+// SCREEN READER TEXT
+// ============================================================
+
+// Makes the canvas an image described by renderer.describe() and its keys,
+// in a hidden paragraph refreshed on focus and on every announcement, and
+// points renderer.announce() at a polite live region beside it. The label
+// is the fallback image's alt text where the page has one.
+function setupFigureDescription(canvas, renderer) {
+  const container = canvas.parentElement;
+  const description = document.createElement('p');
+  description.className = 'visually-hidden';
+  description.id = `${canvas.id}-description`;
+  const live = document.createElement('p');
+  live.className = 'visually-hidden';
+  live.setAttribute('aria-live', 'polite');
+  container.append(description, live);
+
+  const fallback = container.querySelector('.fallback-image');
+  canvas.setAttribute('role', 'img');
+  if (!canvas.hasAttribute('aria-label')) {
+    canvas.setAttribute('aria-label', fallback && fallback.alt
+      ? fallback.alt
+      : `Interactive ${renderer.puzzle.name} figure`);
+  }
+  canvas.setAttribute('aria-describedby', description.id);
+
+  const update = () => {
+    description.textContent = `${renderer.describe()} ${renderer.describeKeys()}`;
+  };
+  update();
+  canvas.addEventListener('focus', update);
+  renderer.onAnnounce = (text) => {
+    update();
+    live.textContent = text;
+  };
+}
+
+// Fills `table` with one row per piece of the solution `renderer` shows.
+// Cells are numbered from 1 along x (left to right), y (bottom to top) and
+// z (back to front).
+function renderSolutionTable(table, renderer) {
+  table.textContent = '';
+  const solution = renderer._getSolution();
+  const caption = table.createCaption();
+  if (!solution) {
+    caption.textContent = 'No solution to show.';
+    return;
+  }
+
+  const { min } = shapeBounds(renderer.target || solutionCells(solution));
+  caption.textContent = `${renderer.puzzle.name} solution ${renderer.currentSolution + 1} of `
+    + `${renderer.solutions.length}. Cells are (x, y, z) counted from 1: left to right, `
+    + 'bottom to top, back to front.';
+
+  const headRow = table.createTHead().insertRow();
+  for (const heading of ['Piece', 'Cubes', 'Cells']) {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = heading;
+    headRow.appendChild(th);
+  }
+
+  const body = table.createTBody();
+  for (const [pieceIndex, cubes] of solution) {
+    const row = body.insertRow();
+    const th = document.createElement('th');
+    th.scope = 'row';
+    th.textContent = renderer._getPieceLabel(pieceIndex);
+    row.appendChild(th);
+    row.insertCell().textContent = String(cubes.length);
+    row.insertCell().textContent = cubes
+      .map((cube) => `(${cube.map((value, axis) => value - min[axis] + 1).join(', ')})`)
+      .join(' ');
+  }
+}
+
+// Keeps the table inside the <details> element `detailsId` on the solution
+// `renderer` shows; it is only built while the element is open
+function setupSolutionTable(detailsId, renderer) {
+  const details = document.getElementById(detailsId);
+  const table = details && details.querySelector('table');
+  if (!table || !renderer) return;
+
+  const update = () => {
+    if (details.open) renderSolutionTable(table, renderer);
+  };
+  details.addEventListener('toggle', update);
+
+  const previous = renderer.onSolutionChange;
+  renderer.onSolutionChange = (source) => {
+    if (previous) previous(source);
+    update();
+  };
+}
+
+// ============================================================
+// SHARED WEBGL CONTEXT
+// ============================================================
+
+let sharedCompositor;
+
+// One WebGL context drives every figure on the page, Bedlam's included.
+// Null when WebGL is unavailable; figures then paint with Canvas2D.
+function getSharedCompositor() {
+  if (sharedCompositor === undefined) {
+    try {
+      const compositor = new SharedGLCompositor();
+      sharedCompositor = compositor.gl ? compositor : null;
+    } catch (e) {
+      sharedCompositor = null;
+    }
   }
+  return sharedCompositor;
 }
 
 // ============================================================
 // INITIALIZATION
 // ============================================================
 
+function prefersReducedMotion() {
+  return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
 function setupVisualization(canvasId, RendererClass, options = {}) {
   const canvas = document.getElementById(canvasId);
   if (!canvas) return null;
 
   const container = canvas.parentElement;
 
-  // Check for WebGL support
-  if (!isWebGLAvailable()) {
-    container.classList.add('webgl-unavailable');
-    return null;
-  }
+  // Without WebGL the same renderer paints with Canvas2D
+  const compositor = getSharedCompositor();
 
   // Responsive sizing with aspect ratio preservation
   function updateCanvasSize() {
@@ -1913,10 +3333,14 @@ function setupVisualization(canvasId, RendererClass, options = {}) {
 
   updateCanvasSize();
 
+  // Set once the renderer exists; resizes redraw figures that are static
+  let frame = null;
+
   // Use ResizeObserver for efficient resize handling
   if (typeof ResizeObserver !== 'undefined') {
     const resizeObserver = new ResizeObserver(() => {
       updateCanvasSize();
+      if (frame) frame.requestFrame();
     });
     resizeObserver.observe(container);
   } else {
@@ -1924,28 +3348,70 @@ function setupVisualization(canvasId, RendererClass, options = {}) {
     window.addEventListener('resize', updateCanvasSize);
   }
 
-  const renderer = new RendererClass(canvas, options);
+  const renderer = compositor
+    ? new RendererClass(canvas, { ...options, compositor })
+    : new RendererClass(canvas, { ...options, canvas2d: true });
+  if (!renderer.gl && !renderer.painter) {
+    container.classList.add('webgl-unavailable');
+    return null;
+  }
 
-  // Check for reduced motion preference
-  const prefersReducedMotion = window.matchMedia(
-    '(prefers-reduced-motion: reduce)'
-  ).matches;
+  const reducedMotion = prefersReducedMotion();
 
-  const loop = new AnimationLoop(() => {
-    renderer.render();
+  // Only auto-animate if motion is allowed; otherwise draw on demand
+  frame = frameScheduler.add(canvas, (dt) => renderer.draw(dt), {
+    animate: !reducedMotion,
   });
+  renderer.onRequestFrame = () => frame.requestFrame();
+  // On-demand figures would freeze mid-coast or mid-turn, and the motion is
+  // unasked for
+  if (reducedMotion) {
+    renderer.camera.inertia = false;
+    renderer.camera.viewTransitionSec = 0;
+  }
+
+  // Figures take keys only while focused, so one press never drives two
+  // figures on the same page
+  if (!canvas.hasAttribute('tabindex')) canvas.tabIndex = 0;
+  canvas.addEventListener('keydown', (e) => {
+    if (!renderer.handleKey(e)) return;
+    e.preventDefault();
+    frame.requestFrame();
+  });
+  setupFigureDescription(canvas, renderer);
 
-  // Only auto-animate if motion is allowed
-  if (!prefersReducedMotion) {
-    loop.start();
-  } else {
-    // Render once for static display
-    renderer.render();
+  if (reducedMotion) {
+    // Camera drags and the figure's own controls change what is shown
+    const figure = container.closest('figure') || container;
+    for (const type of ['pointermove', 'pointerup', 'pointerleave', 'wheel', 'input', 'click', 'keydown']) {
+      figure.addEventListener(type, () => frame.requestFrame(), { passive: true });
+    }
   }
 
+  // Show the fallback image while the GPU context is gone
+  renderer.onContextLost = () => {
+    frame.setEnabled(false);
+    container.classList.add('webgl-context-lost');
+  };
+  renderer.onContextRestored = () => {
+    container.classList.remove('webgl-context-lost');
+    frame.setEnabled(true);
+  };
+
   return renderer;
 }
 
+// Moves a range input `delta` steps, wrapping at the ends, and lets its
+// listeners know as if it had been dragged
+function stepRangeInput(input, delta) {
+  const min = parseInt(input.min) || 0;
+  const max = parseInt(input.max);
+  const count = max - min + 1;
+  const value = parseInt(input.value) - min;
+  input.value = String(min + (value + delta + count) % count);
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
 document.addEventListener('DOMContentLoaded', () => {
   // ---- Intro visualization (wood colors) ----
   const introRenderer = setupVisualization('intro-canvas', IntroRenderer, {
@@ -1991,21 +3457,20 @@ document.addEventListener('DOMContentLoaded', () => {
       if (label) label.textContent = `Orientation ${currentRotation + 1} / 24`;
     }
 
+    function stepRotation(delta) {
+      currentRotation = (currentRotation + delta + 24) % 24;
+      rotationsRenderer.setRotation(currentRotation);
+      updateRotationLabel();
+    }
+
     if (prevBtn) {
-      prevBtn.addEventListener('click', () => {
-        currentRotation = (currentRotation - 1 + 24) % 24;
-        rotationsRenderer.setRotation(currentRotation);
-        updateRotationLabel();
-      });
+      prevBtn.addEventListener('click', () => stepRotation(-1));
     }
 
     if (nextBtn) {
-      nextBtn.addEventListener('click', () => {
-        currentRotation = (currentRotation + 1) % 24;
-        rotationsRenderer.setRotation(currentRotation);
-        updateRotationLabel();
-      });
+      nextBtn.addEventListener('click', () => stepRotation(1));
     }
+    rotationsRenderer.onStep = stepRotation;
   }
 
   // ---- Backtracking visualization (auto-plays) ----
@@ -2018,22 +3483,25 @@ document.addEventListener('DOMContentLoaded', () => {
     const slider = document.getElementById('backtrack-slider');
 
     if (slider) {
-      slider.max = backtrackRenderer.maxSteps;
+      backtrackRenderer.onTraceReady = () => {
+        slider.max = backtrackRenderer.maxSteps;
+      };
       slider.addEventListener('input', (e) => {
         backtrackRenderer.setStep(parseInt(e.target.value));
+        backtrackRenderer.requestFrame();
+        backtrackRenderer.announce();
       });
     }
 
-    // Auto-play animation on loop
-    let animStep = 0;
-    setInterval(() => {
-      animStep += 0.1;
-      if (animStep > backtrackRenderer.maxSteps + 3) {
-        animStep = 0; // Loop back to start after pausing on complete state
-      }
-      backtrackRenderer.setStep(Math.min(animStep, backtrackRenderer.maxSteps));
-      if (slider) slider.value = Math.floor(Math.min(animStep, backtrackRenderer.maxSteps));
-    }, 50);
+    // Auto-play on loop, paced so the long trace takes about 40 seconds end
+    // to end. Under reduced motion the slider is the only way through the
+    // search.
+    if (!prefersReducedMotion()) {
+      backtrackRenderer.onPlayStep = (step) => {
+        if (slider) slider.value = Math.floor(step);
+      };
+      backtrackRenderer.play();
+    }
   }
 
   // ---- Canonical visualization ----
@@ -2045,19 +3513,32 @@ document.addEventListener('DOMContentLoaded', () => {
   if (canonicalRenderer) {
     const slider = document.getElementById('canonical-slider');
     const label = document.getElementById('canonical-label');
+    const updateLabel = () => {
+      const { transform } = canonicalRenderer.getMember();
+      const marker = canonicalRenderer.isCanonicalMember() ? ', canonical' : '';
+      if (label) {
+        label.textContent = `${canonicalRenderer.memberIndex + 1} / ${canonicalRenderer.members.length}: `
+          + `${describeTransform(transform)}${marker}`;
+      }
+    };
     if (slider) {
+      slider.max = canonicalRenderer.members.length - 1;
       slider.addEventListener('input', (e) => {
-        const val = parseInt(e.target.value);
-        canonicalRenderer.setRotation(val);
-        if (label) label.textContent = `${val + 1} / 24`;
+        canonicalRenderer.setMember(parseInt(e.target.value));
+        updateLabel();
       });
+      canonicalRenderer.onStep = (delta) => stepRangeInput(slider, delta);
     }
+    updateLabel();
+    setupClipControls('canonical-clip', 'canonical-clip-axis', canonicalRenderer);
   }
 
   // ---- Main solution visualization ----
   const solutionRenderer = setupVisualization('solution-canvas', SolutionRenderer, {
     useWoodColors: false,
     enablePinchExplode: true,
+    // Free rotation, so a layer can be looked at straight on
+    trackball: true,
     distance: 7,
     rotationX: 0.4,
     rotationY: 0.8
@@ -2069,45 +3550,138 @@ document.addEventListener('DOMContentLoaded', () => {
         solutionRenderer.setExplode(parseInt(e.target.value) / 50); // 0-100 -> 0-2
       });
     }
-    // Solution navigation
+    setupViewControls('solution-views', solutionRenderer);
+    bindSceneDownload('solution-download-gltf', solutionRenderer, 'soma-solution.glb');
+    bindInstructionsButton('solution-instructions', solutionRenderer);
+    setupLayerSlices('solution-slices', 'solution-slice-axis', solutionRenderer);
+    setupClipControls('solution-clip', 'solution-clip-axis', solutionRenderer);
+    setupSolutionTable('solution-table', solutionRenderer);
+    // Solution navigation; each figure remembers where its browsing left off
     const prevBtn = document.getElementById('prev-solution');
     const nextBtn = document.getElementById('next-solution');
     const solutionLabel = document.getElementById('solution-label');
-    let currentSolution = 0;
-    const totalSolutions = SOLUTIONS.length;
+    const figureLabel = document.getElementById('figure-label');
+    const figureSelect = document.getElementById('figure-select');
+    const lastSolutionByFigure = new Map();
+    let currentFigure = SOMA_FIGURES[0];
+
+    // Set while the figure shown is being solved in the background
+    let solving = null;
 
     function updateSolutionLabel() {
+      const total = solutionRenderer.solutions.length;
       if (solutionLabel) {
-        solutionLabel.textContent = `Solution ${currentSolution + 1} of ${totalSolutions}`;
+        if (total > 0) {
+          solutionLabel.textContent = `Solution ${solutionRenderer.currentSolution + 1} of ${total}`;
+        } else {
+          solutionLabel.textContent = solving ? 'Solving…' : 'No solutions';
+        }
       }
+      if (figureLabel) {
+        const count = `${total} ${total === 1 ? 'solution' : 'solutions'}`;
+        figureLabel.textContent = `${currentFigure.name}: ${solving ? `solving… ${count} so far` : count}`;
+      }
+    }
+
+    function stepSolution(delta) {
+      const total = solutionRenderer.solutions.length;
+      if (total === 0) return;
+      solutionRenderer.setSolution((solutionRenderer.currentSolution + delta + total) % total);
+      updateSolutionLabel();
+    }
+
+    // Figures other than the cube are solved the first time they are shown,
+    // off the main thread where possible; their solutions stream in
+    const figureSolver = SolverClient.isSupported()
+      ? new SolverClient({
+        onSolutions: (solutions) => {
+          const first = solving.solutions.length === 0;
+          solving.solutions.push(...solutions);
+          if (first) solutionRenderer.setSolution(0);
+          solutionRenderer.requestFrame();
+          updateSolutionLabel();
+        },
+        onDone: (result) => {
+          const { figure, solutions } = solving;
+          solving = null;
+          if (result.cancelled) return;
+          if (result.error) {
+            // Workers can't start from file:// pages; solve in the page
+            solutionRenderer.setSolutions(getFigureSolutions(figure), getFigureCells(figure));
+          } else {
+            cacheFigureSolutions(figure, solutions);
+          }
+          solutionRenderer.requestFrame();
+          updateSolutionLabel();
+        },
+      })
+      : null;
+
+    function showFigure(figure) {
+      lastSolutionByFigure.set(currentFigure.id, solutionRenderer.currentSolution);
+      currentFigure = figure;
+      // A half-finished figure starts over next time it is shown
+      if (figureSolver && figureSolver.running) figureSolver.cancel();
+
+      const cached = getCachedFigureSolutions(figure);
+      if (cached || !figureSolver) {
+        solutionRenderer.setSolutions(cached || getFigureSolutions(figure), getFigureCells(figure));
+        solutionRenderer.setSolution(lastSolutionByFigure.get(figure.id) || 0);
+      } else {
+        solving = { figure, solutions: [] };
+        solutionRenderer.setSolutions(solving.solutions, getFigureCells(figure));
+        figureSolver.start({ pieces: PIECES, cells: getFigureCells(figure), rotations: ROTATIONS });
+      }
+
+      // Back the camera off for figures taller or wider than the cube
+      const { min, max } = shapeBounds(getFigureCells(figure));
+      const extent = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) + 1;
+      solutionRenderer.camera.distance = Math.min(solutionRenderer.camera.maxDistance, Math.max(7, extent * 2));
+      if (figureSelect) figureSelect.value = figure.id;
+      updateSolutionLabel();
     }
 
     if (prevBtn) {
-      prevBtn.addEventListener('click', () => {
-        currentSolution = (currentSolution - 1 + totalSolutions) % totalSolutions;
-        solutionRenderer.setSolution(currentSolution);
-        updateSolutionLabel();
-      });
+      prevBtn.addEventListener('click', () => stepSolution(-1));
     }
 
     if (nextBtn) {
-      nextBtn.addEventListener('click', () => {
-        currentSolution = (currentSolution + 1) % totalSolutions;
-        solutionRenderer.setSolution(currentSolution);
-        updateSolutionLabel();
-      });
+      nextBtn.addEventListener('click', () => stepSolution(1));
     }
+    solutionRenderer.onStep = stepSolution;
 
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'ArrowLeft') {
-        currentSolution = (currentSolution - 1 + totalSolutions) % totalSolutions;
-        solutionRenderer.setSolution(currentSolution);
-        updateSolutionLabel();
-      } else if (e.key === 'ArrowRight') {
-        currentSolution = (currentSolution + 1) % totalSolutions;
-        solutionRenderer.setSolution(currentSolution);
-        updateSolutionLabel();
-      }
+    // ---- Figure gallery (picks the figure shown above) ----
+    const galleryRenderer = setupVisualization('gallery-canvas', FigureGalleryRenderer, {
+      rotationX: 0.6,
+      rotationY: 0.3,
+      inertia: true,
+      onSelect: (figure) => showFigure(figure),
     });
+    if (galleryRenderer) {
+      galleryRenderer.onStep = (delta) => {
+        const count = galleryRenderer.figures.length;
+        galleryRenderer.selectFigure((galleryRenderer.selectedFigure + delta + count) % count);
+      };
+    }
+
+    if (figureSelect) {
+      for (const figure of SOMA_FIGURES) {
+        const option = document.createElement('option');
+        option.value = figure.id;
+        option.textContent = figure.name;
+        figureSelect.appendChild(option);
+      }
+      figureSelect.addEventListener('change', () => {
+        const index = SOMA_FIGURES.findIndex((figure) => figure.id === figureSelect.value);
+        if (index < 0) return;
+        if (galleryRenderer) {
+          galleryRenderer.selectFigure(index);
+        } else {
+          showFigure(SOMA_FIGURES[index]);
+        }
+      });
+    }
+
+    updateSolutionLabel();
   }
 });
@@ -0,0 +1,523 @@
+/**
+ * dlx.js - Dancing Links exact-cover engine
+ *
+ * Provides:
+ * - ExactCover: Knuth's Algorithm X on a doubly linked sparse matrix
+ * - Polycube covers: one column per piece plus one per target cell, one row
+ *   per placement of a piece orientation inside the target
+ * - enumerate / count / sample helpers returning solutions in the same
+ *   `[pieceIndex, cubes]` shape as SOLUTIONS and BEDLAM_SOLUTIONS, and a
+ *   budgeted enumeration of solutions unique up to symmetry
+ * - SolverClient: runs that enumeration in solver-worker.js
+ *
+ * Uses the orientation helpers from solver.js and the shape and
+ * canonical-form helpers from symmetry.js.
+ */
+
+// ============================================================
+// EXACT COVER MATRIX
+// ============================================================
+
+class ExactCover {
+  // Primary columns must be covered exactly once; secondary columns
+  // (numbered after the primary ones) at most once.
+  constructor(primaryCount, secondaryCount = 0) {
+    const columnCount = primaryCount + secondaryCount;
+    this.columnCount = columnCount;
+    this.rowCount = 0;
+
+    // Node 0 is the root; nodes 1..columnCount are column headers
+    this.left = [];
+    this.right = [];
+    this.up = [];
+    this.down = [];
+    this.column = [];
+    this.row = [];
+    this.size = new Array(columnCount + 1).fill(0);
+
+    for (let node = 0; node <= columnCount; node++) {
+      this.left.push(node - 1);
+      this.right.push(node + 1);
+      this.up.push(node);
+      this.down.push(node);
+      this.column.push(node);
+      this.row.push(-1);
+    }
+
+    // Close the primary header ring; secondary headers link to themselves
+    this.left[0] = primaryCount;
+    this.right[primaryCount] = 0;
+    for (let node = primaryCount + 1; node <= columnCount; node++) {
+      this.left[node] = node;
+      this.right[node] = node;
+    }
+
+    this._stopped = false;
+  }
+
+  addRow(columns) {
+    const rowIndex = this.rowCount++;
+    let first = -1;
+
+    for (const columnIndex of columns) {
+      const header = columnIndex + 1;
+      const node = this.left.length;
+
+      this.column.push(header);
+      this.row.push(rowIndex);
+      this.up.push(this.up[header]);
+      this.down.push(header);
+      this.down[this.up[header]] = node;
+      this.up[header] = node;
+      this.size[header] += 1;
+
+      if (first < 0) {
+        first = node;
+        this.left.push(node);
+        this.right.push(node);
+      } else {
+        this.left.push(this.left[first]);
+        this.right.push(first);
+        this.right[this.left[first]] = node;
+        this.left[first] = node;
+      }
+    }
+
+    return rowIndex;
+  }
+
+  _cover(header) {
+    const { left, right, up, down, column, size } = this;
+    right[left[header]] = right[header];
+    left[right[header]] = left[header];
+
+    for (let i = down[header]; i !== header; i = down[i]) {
+      for (let j = right[i]; j !== i; j = right[j]) {
+        down[up[j]] = down[j];
+        up[down[j]] = up[j];
+        size[column[j]] -= 1;
+      }
+    }
+  }
+
+  _uncover(header) {
+    const { left, right, up, down, column, size } = this;
+
+    for (let i = up[header]; i !== header; i = up[i]) {
+      for (let j = left[i]; j !== i; j = left[j]) {
+        size[column[j]] += 1;
+        down[up[j]] = j;
+        up[down[j]] = j;
+      }
+    }
+
+    right[left[header]] = header;
+    left[right[header]] = header;
+  }
+
+  /**
+   * Runs Algorithm X, always branching on the column with fewest rows.
+   *
+   * options:
+   * - maxSolutions: stop after this many (default: all)
+   * - onSolution(rows, count): rows are row indices; returning false stops
+   * - random: a () => [0, 1) function; when given, rows are tried in a
+   *   shuffled order so the first solutions found are a random sample
+   * - onProgress({ updates, solutions, fraction }): called every
+   *   `progressInterval` rows tried (default 50000); returning false stops
+   *
+   * Returns the number of solutions found.
+   */
+  search(options = {}) {
+    this._stopped = false;
+    this._maxSolutions = options.maxSolutions || Infinity;
+    this._onSolution = options.onSolution || null;
+    this._random = options.random || null;
+    this._onProgress = options.onProgress || null;
+    this._progressInterval = options.progressInterval || 50000;
+    this._solutionCount = 0;
+    this._updates = 0;
+    this._chosen = [];
+    this._levels = [];
+
+    this._search(0);
+    return this._solutionCount;
+  }
+
+  _search(depth) {
+    const { right, down, size } = this;
+
+    if (right[0] === 0) {
+      this._solutionCount += 1;
+      if (this._onSolution && this._onSolution(this._chosen.slice(0, depth), this._solutionCount) === false) {
+        this._stopped = true;
+      }
+      if (this._solutionCount >= this._maxSolutions) this._stopped = true;
+      return;
+    }
+
+    let header = right[0];
+    for (let c = right[header]; c !== 0; c = right[c]) {
+      if (size[c] < size[header]) header = c;
+    }
+    if (size[header] === 0) return;
+
+    const candidates = [];
+    for (let i = down[header]; i !== header; i = down[i]) {
+      candidates.push(i);
+    }
+    if (this._random) shuffleInPlace(candidates, this._random);
+
+    this._cover(header);
+    const level = { index: 0, total: candidates.length };
+    this._levels[depth] = level;
+
+    for (let k = 0; k < candidates.length && !this._stopped; k++) {
+      const node = candidates[k];
+      level.index = k;
+      this._chosen[depth] = this.row[node];
+
+      this._updates += 1;
+      if (this._onProgress && this._updates % this._progressInterval === 0) {
+        const proceed = this._onProgress({
+          updates: this._updates,
+          solutions: this._solutionCount,
+          fraction: this._estimateProgress(depth),
+        });
+        if (proceed === false) {
+          this._stopped = true;
+          break;
+        }
+      }
+
+      for (let j = this.right[node]; j !== node; j = this.right[j]) {
+        this._cover(this.column[j]);
+      }
+      this._search(depth + 1);
+      for (let j = this.left[node]; j !== node; j = this.left[j]) {
+        this._uncover(this.column[j]);
+      }
+    }
+
+    this._uncover(header);
+  }
+
+  // Same idea as solver.js: assume sibling subtrees are about equal in size
+  _estimateProgress(depth) {
+    let fraction = 0;
+    let scale = 1;
+    for (let d = 0; d <= Math.min(depth, 3); d++) {
+      const level = this._levels[d];
+      fraction += scale * level.index / level.total;
+      scale /= level.total;
+    }
+    return Math.min(1, fraction);
+  }
+}
+
+function shuffleInPlace(items, random) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    const tmp = items[i];
+    items[i] = items[j];
+    items[j] = tmp;
+  }
+  return items;
+}
+
+// ============================================================
+// POLYCUBE COVERS
+// ============================================================
+
+/**
+ * Builds the exact-cover matrix for packing `pieces` into `cells`.
+ *
+ * options:
+ * - breakSymmetry: keep a single placement per symmetry orbit for one
+ *   piece that has no symmetry of its own, cutting the search by the number
+ *   of rotations that map the target onto itself. Placements that are
+ *   themselves symmetric can still yield equivalent solutions, so callers
+ *   that need unique results should still dedupe.
+ */
+function buildPolycubeCover(pieces, cells, rotations, options = {}) {
+  const indexOf = createCellIndexer(cells);
+  const pieceOrientations = pieces.map((piece) => allOrientations(piece, rotations));
+
+  let breakPiece = -1;
+  let symmetries = [];
+  if (options.breakSymmetry) {
+    symmetries = findShapeSymmetries(cells, rotations);
+    breakPiece = pieceOrientations.findIndex((orientations) => orientations.length === rotations.length);
+  }
+
+  const isOrbitMinimum = (indices) => symmetries.every((symmetry) => {
+    const mapped = indices.map((i) => symmetry.cells[i]).sort((a, b) => a - b);
+    for (let i = 0; i < indices.length; i++) {
+      if (indices[i] !== mapped[i]) return indices[i] < mapped[i];
+    }
+    return true;
+  });
+
+  const cover = new ExactCover(pieces.length + cells.length);
+  const rows = [];
+
+  pieceOrientations.forEach((orientations, pieceIndex) => {
+    for (const orientation of orientations) {
+      const anchor = orientation[0];
+
+      // Each translation is tried once: wherever the anchor cube lands
+      for (const target of cells) {
+        const cubes = [];
+        const indices = [];
+
+        for (const [px, py, pz] of orientation) {
+          const x = px + target[0] - anchor[0];
+          const y = py + target[1] - anchor[1];
+          const z = pz + target[2] - anchor[2];
+          const index = indexOf(x, y, z);
+          if (index < 0) break;
+          cubes.push([x, y, z]);
+          indices.push(index);
+        }
+
+        if (indices.length !== orientation.length) continue;
+        indices.sort((a, b) => a - b);
+        if (pieceIndex === breakPiece && !isOrbitMinimum(indices)) continue;
+
+        cover.addRow([pieceIndex, ...indices.map((i) => pieces.length + i)]);
+        rows.push([pieceIndex, cubes]);
+      }
+    }
+  });
+
+  return { cover, rows };
+}
+
+function toSolution(rows, chosen) {
+  return chosen
+    .map((rowIndex) => rows[rowIndex])
+    .sort((a, b) => a[0] - b[0]);
+}
+
+function totalVolume(pieces) {
+  return pieces.reduce((sum, piece) => sum + piece.length, 0);
+}
+
+/**
+ * Enumerates packings of `pieces` into `cells` (an array of [x, y, z]).
+ * Accepts the search options of ExactCover plus breakSymmetry; onSolution
+ * receives solutions rather than row indices. Returns the solutions found
+ * (none are kept when onSolution is given, to bound memory).
+ */
+function enumeratePolycubeSolutions(pieces, cells, rotations, options = {}) {
+  if (totalVolume(pieces) !== cells.length) return [];
+
+  const { cover, rows } = buildPolycubeCover(pieces, cells, rotations, options);
+  const solutions = [];
+
+  cover.search({
+    ...options,
+    onSolution: (chosen, count) => {
+      const solution = toSolution(rows, chosen);
+      if (options.onSolution) return options.onSolution(solution, count);
+      solutions.push(solution);
+      return true;
+    },
+  });
+
+  return solutions;
+}
+
+/**
+ * Enumerates packings of `pieces` into `cells` up to rotation and
+ * reflection of the whole packing. Pieces are normalized first, so they
+ * may sit anywhere.
+ *
+ * options:
+ * - maxSolutions: stop after this many unique solutions
+ * - maxRawSolutions: stop after this many solutions before the dedupe. A
+ *   set with repeated pieces finds each packing once per way of swapping
+ *   the copies (9! times for nine identical rods), so this is what bounds
+ *   the search when unique solutions are rare
+ * - timeLimit: stop after this many milliseconds
+ * - knownSolutions: solutions (and their symmetric twins) not to report
+ * - onSolution(solution, count): called with each new unique solution;
+ *   returning false stops
+ * - onProgress, progressInterval: as for ExactCover; returning false stops
+ *
+ * Returns `{ solutions, complete }`, where complete is false when a limit
+ * cut the search short (solutions are not kept when onSolution is given).
+ */
+function enumerateUniquePolycubeSolutions(pieces, cells, rotations, options = {}) {
+  const normalized = pieces.map(normalizeToOrigin);
+  const canonicalKey = createCanonicalizer(normalized, cells, rotations);
+  const maxSolutions = options.maxSolutions || Infinity;
+  const maxRawSolutions = options.maxRawSolutions || Infinity;
+  const deadline = options.timeLimit ? Date.now() + options.timeLimit : Infinity;
+  const seen = new Set((options.knownSolutions || []).map(canonicalKey));
+  const knownCount = seen.size;
+  const solutions = [];
+  let complete = true;
+
+  const withinLimits = (rawCount) => {
+    if (seen.size - knownCount < maxSolutions && rawCount < maxRawSolutions && Date.now() < deadline) return true;
+    complete = false;
+    return false;
+  };
+
+  enumeratePolycubeSolutions(normalized, cells, rotations, {
+    // The dedupe catches whatever symmetry breaking lets through
+    breakSymmetry: true,
+    progressInterval: options.progressInterval,
+    onProgress: (progress) => {
+      if (options.onProgress && options.onProgress(progress) === false) return false;
+      return withinLimits(progress.solutions);
+    },
+    onSolution: (solution, rawCount) => {
+      const key = canonicalKey(solution);
+      if (!seen.has(key)) {
+        seen.add(key);
+        if (options.onSolution) {
+          if (options.onSolution(solution, seen.size - knownCount) === false) return false;
+        } else {
+          solutions.push(solution);
+        }
+      }
+      return withinLimits(rawCount);
+    },
+  });
+
+  return { solutions, complete };
+}
+
+function countPolycubeSolutions(pieces, cells, rotations, options = {}) {
+  if (totalVolume(pieces) !== cells.length) return 0;
+
+  const { cover } = buildPolycubeCover(pieces, cells, rotations, options);
+  return cover.search({ ...options, onSolution: null });
+}
+
+// Independent random solutions: each one is the first hit of a freshly
+// shuffled search. `random` defaults to Math.random; pass a seeded
+// generator for repeatable samples.
+function samplePolycubeSolutions(pieces, cells, rotations, count = 1, options = {}) {
+  if (totalVolume(pieces) !== cells.length) return [];
+
+  const { cover, rows } = buildPolycubeCover(pieces, cells, rotations, options);
+  const random = options.random || Math.random;
+  const samples = [];
+
+  for (let i = 0; i < count; i++) {
+    let found = null;
+    cover.search({
+      random,
+      maxSolutions: 1,
+      onSolution: (chosen) => { found = toSolution(rows, chosen); },
+    });
+    if (!found) break;
+    samples.push(found);
+  }
+
+  return samples;
+}
+
+// ============================================================
+// BACKGROUND SOLVING
+// ============================================================
+
+// solver-worker.js sits next to this script. Null inside the worker, which
+// loads this file too but never starts one.
+const SOLVER_WORKER_URL = typeof document === 'undefined'
+  ? null
+  : document.currentScript
+    ? document.currentScript.src.replace(/[^/]*$/, 'solver-worker.js')
+    : 'solver-worker.js';
+
+/**
+ * Runs enumerateUniquePolycubeSolutions in solver-worker.js, one search at
+ * a time. Solutions arrive in batches through onSolutions(solutions);
+ * onProgress({ nodes, solutions, fraction }) reports the search's progress
+ * and onDone({ complete, cancelled, error }) is called once per search,
+ * including when the worker cannot start at all.
+ */
+class SolverClient {
+  constructor(options = {}) {
+    this.onSolutions = options.onSolutions || null;
+    this.onProgress = options.onProgress || null;
+    this.onDone = options.onDone || null;
+    this.worker = null;
+  }
+
+  static isSupported() {
+    return typeof Worker !== 'undefined' && SOLVER_WORKER_URL !== null;
+  }
+
+  get running() {
+    return !!this.worker;
+  }
+
+  // `rotations` are rotation functions like ROTATIONS; knownSolutions,
+  // maxSolutions and maxRawSolutions are as for
+  // enumerateUniquePolycubeSolutions
+  start({ pieces, cells, rotations, knownSolutions, maxSolutions, maxRawSolutions }) {
+    if (this.worker) return;
+
+    try {
+      this.worker = new Worker(SOLVER_WORKER_URL);
+    } catch (e) {
+      console.error('Could not start solver:', e);
+      this.worker = null;
+      if (this.onDone) this.onDone({ complete: false, cancelled: false, error: e });
+      return;
+    }
+
+    this.worker.onmessage = (e) => {
+      const message = e.data;
+      if (message.type === 'solutions') {
+        if (this.onSolutions) this.onSolutions(message.solutions);
+      } else if (message.type === 'progress') {
+        if (this.onProgress) this.onProgress(message);
+      } else if (message.type === 'done') {
+        this._finish({ complete: message.complete, cancelled: false });
+      }
+    };
+
+    this.worker.onerror = (e) => {
+      console.error('Solver error:', e.message);
+      this._finish({ complete: false, cancelled: false, error: e });
+    };
+
+    this.worker.postMessage({
+      type: 'start',
+      pieces,
+      cells,
+      rotations: rotations.map(rotationToMatrix),
+      knownSolutions,
+      maxSolutions,
+      maxRawSolutions,
+    });
+  }
+
+  cancel() {
+    if (!this.worker) return;
+    this._finish({ complete: false, cancelled: true });
+  }
+
+  _finish(result) {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    if (this.onDone) this.onDone(result);
+  }
+}
+
+// Export for use in other scripts (workers have `self` but no `window`)
+const dlxExports = typeof window !== 'undefined' ? window : self;
+dlxExports.ExactCover = ExactCover;
+dlxExports.buildPolycubeCover = buildPolycubeCover;
+dlxExports.enumeratePolycubeSolutions = enumeratePolycubeSolutions;
+dlxExports.enumerateUniquePolycubeSolutions = enumerateUniquePolycubeSolutions;
+dlxExports.countPolycubeSolutions = countPolycubeSolutions;
+dlxExports.samplePolycubeSolutions = samplePolycubeSolutions;
+dlxExports.SolverClient = SolverClient;
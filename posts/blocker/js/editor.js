@@ -0,0 +1,382 @@
+/**
+ * editor.js - Custom polycube piece editor
+ *
+ * Reshape the Soma pieces (or build a new set) by clicking cube faces,
+ * check that the set fills the 3x3x3 target, and solve it with the Dancing
+ * Links engine in a worker (SolverClient). Results stream into a
+ * SolutionRenderer.
+ *
+ * Needs blocker.js (PuzzleRenderer, SolutionRenderer, setupVisualization),
+ * solver.js, symmetry.js and dlx.js on the page.
+ */
+(function() {
+
+const TARGET_DIMS = [3, 3, 3];
+
+// Unique solutions kept per solve; a loose piece set can have many thousands
+const MAX_SOLUTIONS = 1000;
+
+// Packings tried per solve, before the dedupe. Repeated pieces multiply
+// these (nine identical rods pack 7.6 million ways, all one solution), so
+// this is what keeps such sets to a few seconds.
+const MAX_RAW_SOLUTIONS = 50000;
+
+// Without a worker the search blocks the page, so it gets a time limit too
+const IN_PAGE_TIME_LIMIT_MS = 2000;
+
+// Solutions are drawn in the Soma colours, but the pieces are whatever was
+// built, so descriptions number them rather than naming them
+const EDITED_PUZZLE = { ...SOMA_PUZZLE, name: 'Custom set', pieceNames: null };
+
+// ============================================================
+// PIECE SETS
+// ============================================================
+
+function clonePieces(pieces) {
+  return pieces.map((piece) => piece.map((cube) => cube.slice()));
+}
+
+function findCube(cubes, [x, y, z]) {
+  return cubes.findIndex((cube) => cube[0] === x && cube[1] === y && cube[2] === z);
+}
+
+// Face-connected, i.e. something that could be glued together
+function isConnected(cubes) {
+  if (cubes.length === 0) return false;
+
+  const reached = new Set([0]);
+  const queue = [0];
+  while (queue.length > 0) {
+    const [x, y, z] = cubes[queue.pop()];
+    cubes.forEach(([ox, oy, oz], i) => {
+      if (reached.has(i)) return;
+      if (Math.abs(x - ox) + Math.abs(y - oy) + Math.abs(z - oz) !== 1) return;
+      reached.add(i);
+      queue.push(i);
+    });
+  }
+  return reached.size === cubes.length;
+}
+
+// { ok, message } describing whether the set can be solved against `cellCount`
+function validatePieceSet(pieces, cellCount) {
+  for (let i = 0; i < pieces.length; i++) {
+    if (pieces[i].length === 0) {
+      return { ok: false, message: `Piece ${i + 1} is empty.` };
+    }
+    if (!isConnected(pieces[i])) {
+      return { ok: false, message: `Piece ${i + 1} is not in one piece.` };
+    }
+  }
+
+  const volume = pieces.reduce((sum, piece) => sum + piece.length, 0);
+  if (volume !== cellCount) {
+    return { ok: false, message: `${volume} cubes, but the target needs ${cellCount}.` };
+  }
+  return { ok: true, message: `${volume} / ${cellCount} cubes` };
+}
+
+// Unique solutions up to rotation and reflection, within the limits above.
+// Only used when the worker cannot start.
+function solvePieceSet(pieces, dims) {
+  return enumerateUniquePolycubeSolutions(pieces, boxCells(dims), ROTATIONS, {
+    maxSolutions: MAX_SOLUTIONS,
+    maxRawSolutions: MAX_RAW_SOLUTIONS,
+    timeLimit: IN_PAGE_TIME_LIMIT_MS,
+  });
+}
+
+// ============================================================
+// EDITOR RENDERER (one piece at a time, click faces to edit)
+// ============================================================
+
+class PieceEditorRenderer extends PuzzleRenderer {
+  constructor(canvas, options = {}) {
+    super(canvas, options);
+    this.pieces = clonePieces(options.pieces || PIECES);
+    this.activePiece = 0;
+    this.mode = 'add';
+    this.onChange = options.onChange || null;
+
+    this._bindClick((e) => this._editAt(e.clientX, e.clientY, e.shiftKey));
+  }
+
+  setActivePiece(index) {
+    this.activePiece = (index + this.pieces.length) % this.pieces.length;
+    this._notifyChange();
+  }
+
+  addPiece() {
+    this.pieces.push([[0, 0, 0]]);
+    this.setActivePiece(this.pieces.length - 1);
+  }
+
+  removePiece() {
+    if (this.pieces.length <= 1) return;
+    this.pieces.splice(this.activePiece, 1);
+    this.setActivePiece(Math.min(this.activePiece, this.pieces.length - 1));
+  }
+
+  reset() {
+    this.pieces = clonePieces(PIECES);
+    this.setActivePiece(0);
+  }
+
+  // 'add' puts a cube against the clicked face, 'remove' deletes the cube;
+  // shift-click does the opposite of the current mode
+  setMode(mode) {
+    this.mode = mode;
+  }
+
+  _notifyChange() {
+    if (this.onChange) this.onChange(this);
+    this.announce();
+  }
+
+  describe() {
+    const count = this.pieces[this.activePiece].length;
+    return `Editing piece ${this.activePiece + 1} of ${this.pieces.length}: `
+      + `${count} ${count === 1 ? 'cube' : 'cubes'}.`;
+  }
+
+  // Bounding-box centre of the active piece, so it stays in view as it grows
+  _getPieceCenter(cubes) {
+    return cubes.length > 0 ? shapeCenter(cubes) : [0, 0, 0];
+  }
+
+  _editAt(clientX, clientY, invert) {
+    const cubes = this.pieces[this.activePiece];
+
+    // Nothing to click on yet: any click starts the piece
+    if (cubes.length === 0) {
+      cubes.push([0, 0, 0]);
+      this._notifyChange();
+      return;
+    }
+
+    const rect = this.canvas.getBoundingClientRect();
+    const ray = this._buildPickRay(clientX - rect.left, clientY - rect.top, rect.width, rect.height);
+    if (!ray) return;
+
+    const center = this._getPieceCenter(cubes);
+    let best = null;
+    let bestIndex = -1;
+
+    cubes.forEach(([x, y, z], i) => {
+      // Pick against the full grid cell so the gaps between cubes count too
+      const hit = this._rayHitCube(
+        ray.origin,
+        ray.direction,
+        [x - center[0], y - center[1], z - center[2]],
+        0.5
+      );
+      if (hit && hit.normal && (!best || hit.t < best.t)) {
+        best = hit;
+        bestIndex = i;
+      }
+    });
+    if (bestIndex < 0) return;
+
+    const remove = (this.mode === 'remove') !== invert;
+    if (remove) {
+      cubes.splice(bestIndex, 1);
+    } else {
+      const [x, y, z] = cubes[bestIndex];
+      const neighbour = [x + best.normal[0], y + best.normal[1], z + best.normal[2]];
+      if (findCube(cubes, neighbour) >= 0) return;
+      cubes.push(neighbour);
+    }
+
+    this._notifyChange();
+  }
+
+  render() {
+    if (!this._setupFrame()) return;
+
+    const cubes = this.pieces[this.activePiece];
+    const color = PIECE_COLORS[this.activePiece % PIECE_COLORS.length];
+    const center = this._getPieceCenter(cubes);
+
+    this._drawCubes(cubes.map(([x, y, z]) => [x - center[0], y - center[1], z - center[2]]), color);
+  }
+}
+
+// ============================================================
+// INITIALIZATION
+// ============================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+  const pieceLabel = document.getElementById('editor-piece-label');
+  const status = document.getElementById('editor-status');
+  const solveBtn = document.getElementById('editor-solve');
+  const modeBtn = document.getElementById('editor-mode');
+  const cellCount = TARGET_DIMS[0] * TARGET_DIMS[1] * TARGET_DIMS[2];
+  let solveClient = null;
+
+  function setStatus(text) {
+    if (status) status.textContent = text;
+  }
+
+  const editorRenderer = setupVisualization('editor-canvas', PieceEditorRenderer, {
+    distance: 6,
+    minDistance: 3,
+    maxDistance: 12,
+    rotationX: 0.5,
+    rotationY: 0.7,
+    // Building up a shape needs a closer look at its far side
+    inertia: true,
+    pan: true,
+    zoomToCursor: true,
+    onChange: (editor) => {
+      const cubes = editor.pieces[editor.activePiece];
+      if (pieceLabel) {
+        pieceLabel.textContent = `Piece ${editor.activePiece + 1} of ${editor.pieces.length}`
+          + ` (${cubes.length} ${cubes.length === 1 ? 'cube' : 'cubes'})`;
+      }
+
+      // Edits don't affect a running solve, which has its own copy
+      if (solveClient && solveClient.running) return;
+      const check = validatePieceSet(editor.pieces, cellCount);
+      setStatus(check.message);
+      if (solveBtn) solveBtn.disabled = !check.ok;
+    },
+  });
+  if (!editorRenderer) return;
+  editorRenderer.setActivePiece(0);
+
+  const solutionRenderer = setupVisualization('editor-solution-canvas', SolutionRenderer, {
+    puzzle: EDITED_PUZZLE,
+    solutions: [],
+    enablePinchExplode: true,
+    distance: 7,
+    rotationX: 0.4,
+    rotationY: 0.8
+  });
+  const solutionLabel = document.getElementById('editor-solution-label');
+
+  function updateSolutionLabel() {
+    if (!solutionLabel || !solutionRenderer) return;
+    const total = solutionRenderer.solutions.length;
+    solutionLabel.textContent = total > 0
+      ? `Solution ${solutionRenderer.currentSolution + 1} of ${total}`
+      : 'No solutions yet';
+  }
+
+  function stepSolution(delta) {
+    if (!solutionRenderer) return;
+    const total = solutionRenderer.solutions.length;
+    if (total === 0) return;
+    solutionRenderer.setSolution((solutionRenderer.currentSolution + delta + total) % total);
+    updateSolutionLabel();
+  }
+
+  const bindClick = (id, handler) => {
+    const button = document.getElementById(id);
+    if (button) button.addEventListener('click', handler);
+  };
+
+  bindClick('editor-prev-piece', () => editorRenderer.setActivePiece(editorRenderer.activePiece - 1));
+  bindClick('editor-next-piece', () => editorRenderer.setActivePiece(editorRenderer.activePiece + 1));
+  bindClick('editor-add-piece', () => editorRenderer.addPiece());
+  bindClick('editor-remove-piece', () => editorRenderer.removePiece());
+  bindClick('editor-reset', () => editorRenderer.reset());
+  bindClick('editor-prev-solution', () => stepSolution(-1));
+  bindClick('editor-next-solution', () => stepSolution(1));
+  // [ and ] on a focused figure: pieces in the editor, solutions below it
+  editorRenderer.onStep = (delta) => editorRenderer.setActivePiece(editorRenderer.activePiece + delta);
+  if (solutionRenderer) solutionRenderer.onStep = stepSolution;
+
+  if (modeBtn) {
+    modeBtn.addEventListener('click', () => {
+      const removing = editorRenderer.mode === 'add';
+      editorRenderer.setMode(removing ? 'remove' : 'add');
+      modeBtn.textContent = removing ? 'Removing cubes' : 'Adding cubes';
+      modeBtn.setAttribute('aria-pressed', String(removing));
+    });
+  }
+
+  if (solveBtn) {
+    const cells = boxCells(TARGET_DIMS);
+    let found = [];
+    let startedAt = 0;
+
+    const addSolutions = (solutions) => {
+      const first = found.length === 0;
+      found.push(...solutions);
+      if (solutionRenderer && first) solutionRenderer.setSolution(0);
+      updateSolutionLabel();
+    };
+
+    const finishSolve = ({ complete, cancelled }) => {
+      const ms = Math.round(performance.now() - startedAt);
+      const reason = cancelled ? ', stopped' : complete ? '' : ', search limit reached';
+      solveBtn.textContent = 'Solve';
+      solveBtn.disabled = !validatePieceSet(editorRenderer.pieces, cellCount).ok;
+
+      if (found.length === 0) {
+        setStatus(`No solutions${complete ? '' : ' found'} (${ms} ms${reason}).`);
+      } else {
+        const count = complete ? `${found.length}` : `First ${found.length}`;
+        setStatus(`${count} unique ${found.length === 1 ? 'solution' : 'solutions'} (${ms} ms${reason}).`);
+      }
+    };
+
+    const solveInPage = () => {
+      solveBtn.disabled = true;
+      setStatus('Solving…');
+
+      // Let the status paint before the (synchronous) search starts
+      window.setTimeout(() => {
+        const { solutions, complete } = solvePieceSet(editorRenderer.pieces, TARGET_DIMS);
+        addSolutions(solutions);
+        finishSolve({ complete, cancelled: false });
+      }, 20);
+    };
+
+    solveClient = new SolverClient({
+      onSolutions: addSolutions,
+      onProgress: (progress) => {
+        const percent = (progress.fraction * 100).toFixed(progress.fraction < 0.01 ? 3 : 1);
+        setStatus(`Solving… ${progress.solutions} unique so far (~${percent}% explored)`);
+      },
+      onDone: (result) => {
+        // Workers can't start from file:// pages; fall back to the page
+        if (result.error && found.length === 0) {
+          solveInPage();
+          return;
+        }
+        finishSolve(result);
+      },
+    });
+
+    solveBtn.addEventListener('click', () => {
+      if (solveClient.running) {
+        solveClient.cancel();
+        return;
+      }
+      if (!validatePieceSet(editorRenderer.pieces, cellCount).ok) return;
+
+      found = [];
+      if (solutionRenderer) solutionRenderer.setSolutions(found, cells);
+      updateSolutionLabel();
+      startedAt = performance.now();
+
+      if (!SolverClient.isSupported()) {
+        solveInPage();
+        return;
+      }
+      solveBtn.textContent = 'Stop';
+      setStatus('Solving…');
+      solveClient.start({
+        pieces: editorRenderer.pieces,
+        cells,
+        rotations: ROTATIONS,
+        maxSolutions: MAX_SOLUTIONS,
+        maxRawSolutions: MAX_RAW_SOLUTIONS,
+      });
+    });
+  }
+
+  updateSolutionLabel();
+});
+})();
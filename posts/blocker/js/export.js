@@ -0,0 +1,489 @@
+/**
+ * export.js - Piece meshes for 3D printing and 3D tools
+ *
+ * Provides:
+ * - buildPieceMesh: a watertight triangle mesh of one polycube piece, with
+ *   the faces between touching cubes left out and optional clearance and
+ *   edge chamfer
+ * - encodeSTL / encodeOBJ: binary STL and Wavefront OBJ writers
+ * - exportPieces: a whole piece set (PIECES, BEDLAM_PUZZLE.pieces) laid
+ *   out on the print bed as one downloadable file
+ * - exportSceneGLB: the solution a renderer shows as a glTF 2.0 binary,
+ *   one node per piece, with its explode or fly-out as an animation
+ * - bindPieceDownload / bindSceneDownload: wire the download buttons
+ *
+ * Uses cellKey from symmetry.js and normalizeToOrigin from solver.js.
+ * Print meshes are in millimetres with Z up, the way slicers expect them;
+ * glTF scenes keep the page's Y-up cube units.
+ */
+
+const DEFAULT_EXPORT_OPTIONS = {
+  cubeSize: 20, // mm per unit cube
+  clearance: 0.2, // mm gap between two mating faces, half taken off each
+  chamfer: 0.8, // mm bevel on convex edges; 0 for sharp edges
+};
+
+// For a face whose normal points along axis a, the two in-plane axes
+// ordered so that u x v = +a
+const FACE_AXES = [
+  [1, 2],
+  [2, 0],
+  [0, 1],
+];
+
+function resolveExportOptions(options) {
+  const resolved = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+  const cubeSize = Math.max(1, resolved.cubeSize);
+  // Keep both insets well inside the cube so faces never cross over
+  const clearance = Math.min(Math.max(0, resolved.clearance), cubeSize * 0.2);
+  const chamfer = Math.min(Math.max(0, resolved.chamfer), cubeSize * 0.25);
+  return { cubeSize, clearance, chamfer };
+}
+
+// ============================================================
+// MESHING
+// ============================================================
+
+// Only the outside of the piece is meshed: every cube face without a
+// neighbour behind it. With a chamfer each such face is split at `chamfer`
+// from its edges, and vertices on convex edges are pulled in to bevel them.
+// Vertices are shared through integer lattice codes (3 per cube: the
+// corner, corner + chamfer, far corner - chamfer), so the surface stays
+// closed however it is offset.
+function buildPieceMesh(cubes, options = {}) {
+  const { cubeSize, clearance, chamfer } = resolveExportOptions(options);
+  const filled = new Set(cubes.map(([x, y, z]) => cellKey(x, y, z)));
+  const isFilled = (x, y, z) => filled.has(cellKey(x, y, z));
+
+  const bevel = chamfer / cubeSize;
+  const fractions = [0, bevel, 1 - bevel];
+  const splitCount = bevel > 0 ? 3 : 1;
+
+  const positions = [];
+  const indices = [];
+  const vertexIds = new Map();
+
+  // Lattice code of split point i along a cube starting at k
+  const splitCode = (k, i) => (i === splitCount ? (k + 1) * 3 : k * 3 + i);
+
+  function placeVertex(codes) {
+    const base = [];
+    const spans = [];
+    for (let axis = 0; axis < 3; axis++) {
+      const k = Math.floor(codes[axis] / 3);
+      const sub = codes[axis] - k * 3;
+      base.push(k + fractions[sub]);
+      // On a lattice plane the vertex touches cells on both sides of it
+      spans.push(sub === 0 ? [k - 1, k] : [k]);
+    }
+
+    let cellCount = 0;
+    let filledCount = 0;
+    for (const x of spans[0]) {
+      for (const y of spans[1]) {
+        for (const z of spans[2]) {
+          cellCount++;
+          if (isFilled(x, y, z)) filledCount++;
+        }
+      }
+    }
+
+    // Outward normal along each axis, from the faces meeting at the vertex
+    // (0 where there are none, or where they face both ways)
+    const direction = [0, 0, 0];
+    for (let axis = 0; axis < 3; axis++) {
+      if (spans[axis].length < 2) continue;
+      const [u, v] = FACE_AXES[axis];
+      const k = spans[axis][1];
+      let sawPositive = false;
+      let sawNegative = false;
+      for (const cu of spans[u]) {
+        for (const cv of spans[v]) {
+          const low = [0, 0, 0];
+          low[axis] = k - 1;
+          low[u] = cu;
+          low[v] = cv;
+          const high = low.slice();
+          high[axis] = k;
+          const lowFilled = isFilled(...low);
+          const highFilled = isFilled(...high);
+          if (lowFilled && !highFilled) sawPositive = true;
+          if (highFilled && !lowFilled) sawNegative = true;
+        }
+      }
+      if (sawPositive !== sawNegative) direction[axis] = sawPositive ? 1 : -1;
+    }
+
+    // Convex edges and corners have at most a quarter of the cells around
+    // them filled; concave ones keep their sharp inside corner
+    const bentAxes = direction.filter((d) => d !== 0).length;
+    const convex = bevel > 0 && bentAxes >= 2 && filledCount * 4 <= cellCount;
+    const inset = clearance / 2 + (convex ? chamfer / 2 : 0);
+
+    return base.map((value, axis) => value * cubeSize - direction[axis] * inset);
+  }
+
+  function vertexId(codes) {
+    const key = codes.join(',');
+    let id = vertexIds.get(key);
+    if (id === undefined) {
+      id = positions.length / 3;
+      positions.push(...placeVertex(codes));
+      vertexIds.set(key, id);
+    }
+    return id;
+  }
+
+  for (const cube of cubes) {
+    for (let axis = 0; axis < 3; axis++) {
+      for (const sign of [1, -1]) {
+        const neighbour = cube.slice();
+        neighbour[axis] += sign;
+        if (isFilled(...neighbour)) continue;
+
+        let [u, v] = FACE_AXES[axis];
+        if (sign < 0) [u, v] = [v, u];
+        const planeCode = (cube[axis] + (sign > 0 ? 1 : 0)) * 3;
+
+        for (let i = 0; i < splitCount; i++) {
+          for (let j = 0; j < splitCount; j++) {
+            const corners = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1]].map(([su, sv]) => {
+              const codes = [0, 0, 0];
+              codes[axis] = planeCode;
+              codes[u] = splitCode(cube[u], su);
+              codes[v] = splitCode(cube[v], sv);
+              return vertexId(codes);
+            });
+            indices.push(corners[0], corners[1], corners[2], corners[0], corners[2], corners[3]);
+          }
+        }
+      }
+    }
+  }
+
+  return { positions, indices };
+}
+
+// Pieces turned Z-up and set side by side along X, one cube apart
+function layoutPieces(pieces, options) {
+  const { cubeSize } = resolveExportOptions(options);
+  let cursor = 0;
+
+  return pieces.map((piece, i) => {
+    // Page coordinates are Y-up; (x, y, z) -> (x, -z, y) is a rotation,
+    // so faces keep their winding
+    const cubes = normalizeToOrigin(piece.map(([x, y, z]) => [x, -z, y]));
+    const mesh = buildPieceMesh(cubes, options);
+    const offset = cursor * cubeSize;
+    for (let p = 0; p < mesh.positions.length; p += 3) {
+      mesh.positions[p] += offset;
+    }
+    cursor += Math.max(...cubes.map(([x]) => x)) + 2;
+    return { name: `piece-${i + 1}`, ...mesh };
+  });
+}
+
+// ============================================================
+// FILE FORMATS
+// ============================================================
+
+// Binary STL: 80-byte header, triangle count, then 50 bytes per triangle
+function encodeSTL(meshes) {
+  const triangleCount = meshes.reduce((sum, mesh) => sum + mesh.indices.length / 3, 0);
+  const buffer = new ArrayBuffer(84 + triangleCount * 50);
+  const view = new DataView(buffer);
+
+  const header = 'Polycube puzzle pieces, millimetres';
+  for (let i = 0; i < header.length; i++) {
+    view.setUint8(i, header.charCodeAt(i));
+  }
+  view.setUint32(80, triangleCount, true);
+
+  let offset = 84;
+  for (const { positions, indices } of meshes) {
+    for (let t = 0; t < indices.length; t += 3) {
+      const [a, b, c] = [indices[t], indices[t + 1], indices[t + 2]].map((id) =>
+        positions.slice(id * 3, id * 3 + 3)
+      );
+      const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+      const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+      const normal = [
+        e1[1] * e2[2] - e1[2] * e2[1],
+        e1[2] * e2[0] - e1[0] * e2[2],
+        e1[0] * e2[1] - e1[1] * e2[0],
+      ];
+      const length = Math.hypot(normal[0], normal[1], normal[2]) || 1;
+
+      for (const value of [...normal.map((n) => n / length), ...a, ...b, ...c]) {
+        view.setFloat32(offset, value, true);
+        offset += 4;
+      }
+      view.setUint16(offset, 0, true);
+      offset += 2;
+    }
+  }
+  return buffer;
+}
+
+// One OBJ object per piece so slicers can arrange them separately
+function encodeOBJ(meshes) {
+  const lines = ['# Polycube puzzle pieces, millimetres, Z up'];
+  let firstVertex = 1;
+
+  for (const { name, positions, indices } of meshes) {
+    lines.push(`o ${name}`);
+    for (let p = 0; p < positions.length; p += 3) {
+      lines.push(`v ${positions[p].toFixed(4)} ${positions[p + 1].toFixed(4)} ${positions[p + 2].toFixed(4)}`);
+    }
+    for (let t = 0; t < indices.length; t += 3) {
+      lines.push(`f ${indices[t] + firstVertex} ${indices[t + 1] + firstVertex} ${indices[t + 2] + firstVertex}`);
+    }
+    firstVertex += positions.length / 3;
+  }
+  return lines.join('\n') + '\n';
+}
+
+// The whole piece set as a Blob in 'stl' or 'obj' format
+function exportPieces(pieces, format = 'stl', options = {}) {
+  const meshes = layoutPieces(pieces, options);
+  if (format === 'obj') {
+    return new Blob([encodeOBJ(meshes)], { type: 'model/obj' });
+  }
+  return new Blob([encodeSTL(meshes)], { type: 'model/stl' });
+}
+
+// ============================================================
+// GLTF SCENES
+// ============================================================
+
+// Pieces in a glTF scene are in cube units like the page, with the same
+// gap between neighbouring pieces as the renderer's 0.9 cubes
+const GLTF_MESH_OPTIONS = { cubeSize: 1, clearance: 0.1, chamfer: 0.04 };
+
+// Keyframes per second for animation tracks, sampled from the renderer's
+// own motion rather than re-deriving its easing curves
+const GLTF_SAMPLE_RATE = 30;
+
+const GLTF_FLOAT = 5126;
+const GLTF_ARRAY_BUFFER = 34962;
+
+// Collects accessors into one binary buffer and writes the .glb container
+class GLBWriter {
+  constructor() {
+    this.json = {
+      asset: { version: '2.0', generator: 'blocker export.js' },
+      scene: 0,
+      scenes: [{ nodes: [] }],
+      nodes: [],
+      meshes: [],
+      materials: [],
+      accessors: [],
+      bufferViews: [],
+      buffers: [{ byteLength: 0 }],
+    };
+    this._chunks = [];
+    this._byteLength = 0;
+  }
+
+  // Float accessor of 'SCALAR' or 'VEC3' items; returns its index
+  addAccessor(values, type, target = null) {
+    const data = new Float32Array(values);
+    const size = type === 'VEC3' ? 3 : 1;
+    const min = new Array(size).fill(Infinity);
+    const max = new Array(size).fill(-Infinity);
+    for (let i = 0; i < data.length; i++) {
+      min[i % size] = Math.min(min[i % size], data[i]);
+      max[i % size] = Math.max(max[i % size], data[i]);
+    }
+
+    const view = { buffer: 0, byteOffset: this._byteLength, byteLength: data.byteLength };
+    if (target) view.target = target;
+    this.json.bufferViews.push(view);
+    this._chunks.push(data);
+    this._byteLength += data.byteLength; // Float32 data keeps 4-byte alignment
+
+    this.json.accessors.push({
+      bufferView: this.json.bufferViews.length - 1,
+      componentType: GLTF_FLOAT,
+      count: data.length / size,
+      type,
+      min,
+      max,
+    });
+    return this.json.accessors.length - 1;
+  }
+
+  toArrayBuffer() {
+    this.json.buffers[0].byteLength = this._byteLength;
+    const encoder = new TextEncoder();
+    const jsonBytes = encoder.encode(JSON.stringify(this.json));
+    // Chunks are 4-byte aligned: JSON padded with spaces, binary with zeros
+    const jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+    const binLength = Math.ceil(this._byteLength / 4) * 4;
+
+    const buffer = new ArrayBuffer(12 + 8 + jsonLength + 8 + binLength);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    view.setUint32(0, 0x46546c67, true); // 'glTF'
+    view.setUint32(4, 2, true);
+    view.setUint32(8, buffer.byteLength, true);
+
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, 0x4e4f534a, true); // 'JSON'
+    bytes.fill(0x20, 20, 20 + jsonLength);
+    bytes.set(jsonBytes, 20);
+
+    const binStart = 20 + jsonLength;
+    view.setUint32(binStart, binLength, true);
+    view.setUint32(binStart + 4, 0x004e4942, true); // 'BIN'
+    let offset = binStart + 8;
+    for (const chunk of this._chunks) {
+      bytes.set(new Uint8Array(chunk.buffer), offset);
+      offset += chunk.byteLength;
+    }
+    return buffer;
+  }
+}
+
+// Un-indexed triangles with face normals, so cube faces shade flat
+function flatShadedArrays(mesh, origin) {
+  const positions = [];
+  const normals = [];
+  const { positions: p, indices } = mesh;
+
+  for (let t = 0; t < indices.length; t += 3) {
+    const corners = [indices[t], indices[t + 1], indices[t + 2]].map((id) => [
+      p[id * 3] - origin[0],
+      p[id * 3 + 1] - origin[1],
+      p[id * 3 + 2] - origin[2],
+    ]);
+    const [a, b, c] = corners;
+    const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+    const n = [
+      e1[1] * e2[2] - e1[2] * e2[1],
+      e1[2] * e2[0] - e1[0] * e2[2],
+      e1[0] * e2[1] - e1[1] * e2[0],
+    ];
+    const length = Math.hypot(n[0], n[1], n[2]) || 1;
+    for (const corner of corners) {
+      positions.push(...corner);
+      normals.push(n[0] / length, n[1] / length, n[2] / length);
+    }
+  }
+  return { positions, normals };
+}
+
+// The scene a renderer's getExplodeScene() describes (SolutionRenderer and
+// its subclasses, BedlamAnimatedRenderer) as a .glb: one node and material
+// per piece, posed as on screen, plus an 'explode' animation unless
+// options.animation is false
+function exportSceneGLB(scene, options = {}) {
+  const writer = new GLBWriter();
+  const json = writer.json;
+
+  scene.pieces.forEach((piece, i) => {
+    const count = piece.cubes.length;
+    const centroid = [0, 1, 2].map((axis) =>
+      piece.cubes.reduce((sum, cube) => sum + cube[axis], 0) / count
+    );
+    const min = [0, 1, 2].map((axis) => Math.min(...piece.cubes.map((cube) => cube[axis])));
+    const cells = piece.cubes.map((cube) => cube.map((value, axis) => Math.round(value - min[axis])));
+
+    // Mesh cube k spans [k, k + 1]; the renderer centres it on min + k
+    const origin = centroid.map((value, axis) => value - min[axis] + 0.5);
+    const { positions, normals } = flatShadedArrays(buildPieceMesh(cells, GLTF_MESH_OPTIONS), origin);
+
+    const name = `piece-${piece.pieceIndex + 1}`;
+    json.materials.push({
+      name,
+      pbrMetallicRoughness: {
+        // Page colours are display (sRGB) values; glTF factors are linear
+        baseColorFactor: [...piece.color.map((c) => Math.pow(c, 2.2)), 1],
+        metallicFactor: 0,
+        roughnessFactor: 0.6,
+      },
+    });
+    json.meshes.push({
+      name,
+      primitives: [{
+        attributes: {
+          POSITION: writer.addAccessor(positions, 'VEC3', GLTF_ARRAY_BUFFER),
+          NORMAL: writer.addAccessor(normals, 'VEC3', GLTF_ARRAY_BUFFER),
+        },
+        material: i,
+      }],
+    });
+    json.nodes.push({
+      name,
+      mesh: i,
+      translation: centroid.map((value, axis) => value + piece.offset[axis]),
+    });
+    json.scenes[0].nodes.push(i);
+  });
+
+  if (options.animation !== false && scene.offsetAt) {
+    const frameCount = Math.max(2, Math.round(scene.duration * GLTF_SAMPLE_RATE) + 1);
+    const times = Array.from({ length: frameCount }, (_, f) => (f / (frameCount - 1)) * scene.duration);
+    const input = writer.addAccessor(times, 'SCALAR');
+    const animation = { name: 'explode', channels: [], samplers: [] };
+
+    json.nodes.forEach((node, i) => {
+      const base = node.translation.map((value, axis) => value - scene.pieces[i].offset[axis]);
+      const track = [];
+      for (const time of times) {
+        const offset = scene.offsetAt(i, time);
+        track.push(base[0] + offset[0], base[1] + offset[1], base[2] + offset[2]);
+      }
+      animation.samplers.push({ input, output: writer.addAccessor(track, 'VEC3'), interpolation: 'LINEAR' });
+      animation.channels.push({ sampler: i, target: { node: i, path: 'translation' } });
+    });
+    json.animations = [animation];
+  }
+
+  return new Blob([writer.toArrayBuffer()], { type: 'model/gltf-binary' });
+}
+
+// ============================================================
+// DOWNLOADS
+// ============================================================
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking straight away can cancel the download in some browsers
+  window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function bindPieceDownload(buttonId, formatSelectId, puzzle, options = {}) {
+  const button = document.getElementById(buttonId);
+  if (!button) return;
+  const formatSelect = document.getElementById(formatSelectId);
+
+  button.addEventListener('click', () => {
+    const format = formatSelect ? formatSelect.value : 'stl';
+    const filename = `${puzzle.name.toLowerCase()}-pieces.${format}`;
+    downloadBlob(exportPieces(puzzle.pieces, format, options), filename);
+  });
+}
+
+// Downloads what `renderer` shows at the moment of the click
+function bindSceneDownload(buttonId, renderer, filename, options = {}) {
+  const button = document.getElementById(buttonId);
+  if (!button || !renderer) return;
+
+  button.addEventListener('click', () => {
+    const scene = renderer.getExplodeScene();
+    if (scene) downloadBlob(exportSceneGLB(scene, options), filename);
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  bindPieceDownload('pieces-download', 'pieces-download-format', SOMA_PUZZLE);
+});
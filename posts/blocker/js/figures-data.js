@@ -0,0 +1,82 @@
+// Classic Soma figures, each built from all 27 cubes of the 7 pieces.
+// Shapes are layer drawings, bottom layer first (see layersToCells in
+// symmetry.js); solutions are found in a background worker when a figure
+// is first opened.
+const SOMA_FIGURES = [
+  {
+    id: 'cube',
+    name: 'Cube',
+    layers: [
+      ['###', '###', '###'],
+      ['###', '###', '###'],
+      ['###', '###', '###'],
+    ],
+  },
+  {
+    id: 'bathtub',
+    name: 'Bathtub',
+    layers: [
+      ['#####', '#####', '#####'],
+      ['#####', '#...#', '#####'],
+    ],
+  },
+  {
+    id: 'pyramid',
+    name: 'Pyramid',
+    layers: [
+      ['#####', '#####', '#####'],
+      ['.###.', '.###.', '.###.'],
+      ['..#..', '..#..', '..#..'],
+    ],
+  },
+  {
+    id: 'staircase',
+    name: 'Staircase',
+    layers: [
+      ['###', '###', '###'],
+      ['###', '###', '###'],
+      ['.##', '.##', '.##'],
+      ['..#', '..#', '..#'],
+    ],
+  },
+  {
+    id: 'tower',
+    name: 'Tower',
+    layers: [
+      ['###', '###', '###'],
+      ['##.', '##.', '##.'],
+      ['##.', '##.', '##.'],
+      ['##.', '##.', '##.'],
+    ],
+  },
+  {
+    id: 'tunnel',
+    name: 'Tunnel',
+    layers: [
+      ['##.##', '##.##', '##.##'],
+      ['#####', '#####', '#####'],
+    ],
+  },
+  {
+    id: 'chair',
+    name: 'Chair',
+    layers: [
+      ['###', '###', '###'],
+      ['###', '###', '###'],
+      ['###', '...', '...'],
+      ['###', '...', '...'],
+      ['###', '...', '...'],
+    ],
+  },
+  {
+    id: 'dog',
+    name: 'Dog',
+    layers: [
+      ['#..#.', '#..#.'],
+      ['####.', '####.'],
+      ['#####', '#####'],
+      ['#...#', '....#'],
+      ['....#', '....#'],
+    ],
+  },
+];
@@ -0,0 +1,281 @@
+/**
+ * instructions.js - Printable assembly instructions for a solution
+ *
+ * Provides:
+ * - planAssembly: an order to place the pieces of a solution (an entry of
+ *   SOLUTIONS, BEDLAM_SOLUTIONS or a figure's solutions) in which every
+ *   piece can be lowered into place from above and rests on the table or
+ *   on pieces already placed
+ * - renderInstructionsHTML: a print-ready page with one step per piece,
+ *   each an isometric SVG (new piece in colour, earlier pieces grey) and a
+ *   grid per layer
+ * - bindInstructionsButton: opens the page for whatever a SolutionRenderer
+ *   currently shows
+ *
+ * Uses cellKey / shapeBounds from symmetry.js and cssColor from blocker.js.
+ * Y is up, as on the page.
+ */
+
+const INSERT_DIRECTIONS = [
+  { from: [0, 1, 0], label: 'Lower it in from above.' },
+  { from: [1, 0, 0], label: 'Slide it in from the +x side.' },
+  { from: [-1, 0, 0], label: 'Slide it in from the −x side.' },
+  { from: [0, 0, 1], label: 'Slide it in from the +z side.' },
+  { from: [0, 0, -1], label: 'Slide it in from the −z side.' },
+];
+
+// ============================================================
+// PLANNING
+// ============================================================
+
+// Whether `cubes` can travel in from `from` without passing through
+// `occupied`, and will stay put once there
+function canPlace(cubes, occupied, from, bounds) {
+  const own = new Set(cubes.map(([x, y, z]) => cellKey(x, y, z)));
+
+  const supported = cubes.some(([x, y, z]) =>
+    y === bounds.min[1] || occupied.has(cellKey(x, y - 1, z))
+  );
+  if (!supported) return false;
+
+  for (const cube of cubes) {
+    const cell = cube.slice();
+    for (;;) {
+      cell[0] += from[0];
+      cell[1] += from[1];
+      cell[2] += from[2];
+      const outside = cell.some((value, axis) => value < bounds.min[axis] || value > bounds.max[axis]);
+      if (outside) break;
+      const key = cellKey(cell[0], cell[1], cell[2]);
+      if (occupied.has(key) && !own.has(key)) return false;
+    }
+  }
+  return true;
+}
+
+// Depth-first over placement orders, lowest pieces first, remembering
+// dead-end sets of placed pieces. Tries top-down insertion only, then
+// allows sliding in from the sides. Returns steps of { pieceIndex, cubes,
+// direction }; direction is null if no order works (the pieces are then
+// listed bottom to top).
+function planAssembly(solution) {
+  const bounds = shapeBounds(solution.flatMap(([, cubes]) => cubes));
+  const pieces = solution
+    .map(([pieceIndex, cubes]) => ({
+      pieceIndex,
+      cubes,
+      lowest: Math.min(...cubes.map(([, y]) => y)),
+    }))
+    .sort((a, b) => a.lowest - b.lowest || a.pieceIndex - b.pieceIndex);
+
+  function search(directions) {
+    const deadEnds = new Set();
+    const occupied = new Set();
+    const placed = new Array(pieces.length).fill(false);
+    const steps = [];
+
+    function visit() {
+      if (steps.length === pieces.length) return true;
+      const stateKey = placed.map((p) => (p ? 1 : 0)).join('');
+      if (deadEnds.has(stateKey)) return false;
+
+      for (let i = 0; i < pieces.length; i++) {
+        if (placed[i]) continue;
+        const piece = pieces[i];
+        const direction = directions.find((d) => canPlace(piece.cubes, occupied, d.from, bounds));
+        if (!direction) continue;
+
+        placed[i] = true;
+        piece.cubes.forEach(([x, y, z]) => occupied.add(cellKey(x, y, z)));
+        steps.push({ pieceIndex: piece.pieceIndex, cubes: piece.cubes, direction });
+        if (visit()) return true;
+        steps.pop();
+        piece.cubes.forEach(([x, y, z]) => occupied.delete(cellKey(x, y, z)));
+        placed[i] = false;
+      }
+
+      deadEnds.add(stateKey);
+      return false;
+    }
+
+    return visit() ? steps : null;
+  }
+
+  return search(INSERT_DIRECTIONS.slice(0, 1))
+    || search(INSERT_DIRECTIONS)
+    || pieces.map(({ pieceIndex, cubes }) => ({ pieceIndex, cubes, direction: null }));
+}
+
+// ============================================================
+// DRAWING
+// ============================================================
+
+const ISO_COS = Math.cos(Math.PI / 6);
+const ISO_SIN = 0.5;
+const PLACED_GREY = [0.82, 0.82, 0.82];
+
+// Visible faces from the (+x, +y, +z) viewing direction, with the shade
+// each is drawn in
+const ISO_FACES = [
+  { normal: [0, 1, 0], shade: 1.0, corners: [[0, 1, 0], [1, 1, 0], [1, 1, 1], [0, 1, 1]] },
+  { normal: [1, 0, 0], shade: 0.8, corners: [[1, 0, 0], [1, 1, 0], [1, 1, 1], [1, 0, 1]] },
+  { normal: [0, 0, 1], shade: 0.62, corners: [[0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]] },
+];
+
+function isoPoint([x, y, z]) {
+  return [(x - z) * ISO_COS, (x + z) * ISO_SIN - y];
+}
+
+// Isometric SVG of `cells` ({ cell, color } in grid coordinates)
+function renderIsometricSVG(cells, unit = 28) {
+  const occupied = new Set(cells.map(({ cell: [x, y, z] }) => cellKey(x, y, z)));
+  const polygons = [];
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+  // Cubes further from the viewer first
+  const ordered = cells.slice().sort((a, b) =>
+    (a.cell[0] + a.cell[1] + a.cell[2]) - (b.cell[0] + b.cell[1] + b.cell[2])
+  );
+
+  for (const { cell, color } of ordered) {
+    const [x, y, z] = cell;
+    for (const face of ISO_FACES) {
+      const [nx, ny, nz] = face.normal;
+      if (occupied.has(cellKey(x + nx, y + ny, z + nz))) continue;
+
+      const points = face.corners.map(([cx, cy, cz]) => {
+        const [px, py] = isoPoint([x + cx, y + cy, z + cz]);
+        minX = Math.min(minX, px);
+        maxX = Math.max(maxX, px);
+        minY = Math.min(minY, py);
+        maxY = Math.max(maxY, py);
+        return `${(px * unit).toFixed(1)},${(py * unit).toFixed(1)}`;
+      });
+      polygons.push(`<polygon points="${points.join(' ')}" fill="${cssColor(color, face.shade)}"/>`);
+    }
+  }
+
+  const pad = 0.2;
+  const viewBox = [minX - pad, minY - pad, maxX - minX + 2 * pad, maxY - minY + 2 * pad]
+    .map((value) => (value * unit).toFixed(1));
+  return `<svg class="iso" viewBox="${viewBox.join(' ')}" width="${viewBox[2]}" height="${viewBox[3]}"`
+    + ` xmlns="http://www.w3.org/2000/svg"><g stroke="#333" stroke-width="1" stroke-linejoin="round">`
+    + `${polygons.join('')}</g></svg>`;
+}
+
+// One small x-by-z grid per layer, bottom layer first
+function renderLayerGrids(cells, bounds, cellSize = 14) {
+  const colorAt = new Map(cells.map(({ cell: [x, y, z], color }) => [cellKey(x, y, z), color]));
+  const columns = bounds.max[0] - bounds.min[0] + 1;
+  const rows = bounds.max[2] - bounds.min[2] + 1;
+  const grids = [];
+
+  for (let y = bounds.min[1]; y <= bounds.max[1]; y++) {
+    const squares = [];
+    for (let z = bounds.min[2]; z <= bounds.max[2]; z++) {
+      for (let x = bounds.min[0]; x <= bounds.max[0]; x++) {
+        const color = colorAt.get(cellKey(x, y, z));
+        const fill = color ? cssColor(color) : '#fff';
+        squares.push(`<rect x="${(x - bounds.min[0]) * cellSize}" y="${(z - bounds.min[2]) * cellSize}"`
+          + ` width="${cellSize}" height="${cellSize}" fill="${fill}"/>`);
+      }
+    }
+    const width = columns * cellSize;
+    const height = rows * cellSize;
+    grids.push(`<figure class="layer"><svg viewBox="-1 -1 ${width + 2} ${height + 2}" width="${width + 2}"`
+      + ` height="${height + 2}" xmlns="http://www.w3.org/2000/svg"><g stroke="#555" stroke-width="1">`
+      + `${squares.join('')}</g></svg><figcaption>Layer ${y - bounds.min[1] + 1}</figcaption></figure>`);
+  }
+  return grids.join('');
+}
+
+// ============================================================
+// PAGE
+// ============================================================
+
+const INSTRUCTIONS_CSS = `
+  body { font-family: system-ui, sans-serif; color: #222; margin: 2rem; }
+  h1 { font-size: 1.4rem; margin: 0 0 0.25rem; }
+  .intro { color: #666; margin: 0 0 1.5rem; }
+  .step { display: flex; gap: 2rem; align-items: center; padding: 1rem 0;
+    border-top: 1px solid #ddd; break-inside: avoid; page-break-inside: avoid; }
+  .step h2 { font-size: 1.05rem; margin: 0 0 0.25rem; }
+  .step p { margin: 0 0 0.75rem; color: #555; }
+  .layers { display: flex; flex-wrap: wrap; gap: 0.75rem; }
+  .layer { margin: 0; text-align: center; font-size: 0.75rem; color: #666; }
+  .iso { flex-shrink: 0; }
+  @media print {
+    body { margin: 0; }
+    .no-print { display: none; }
+  }
+`;
+
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+// `getColor(pieceIndex)` gives the [r, g, b] (0-1) colour of a piece
+function renderInstructionsHTML(solution, { title = 'Assembly instructions', getColor }) {
+  const steps = planAssembly(solution);
+  const bounds = shapeBounds(solution.flatMap(([, cubes]) => cubes));
+  const fallbackNote = steps.some((step) => !step.direction)
+    ? ' No order lets every piece drop or slide straight in, so some steps need a little wiggling.'
+    : '';
+
+  const sections = steps.map((step, i) => {
+    const cells = [];
+    for (const earlier of steps.slice(0, i)) {
+      earlier.cubes.forEach((cell) => cells.push({ cell, color: PLACED_GREY }));
+    }
+    const color = getColor(step.pieceIndex);
+    step.cubes.forEach((cell) => cells.push({ cell, color }));
+
+    const how = step.direction ? step.direction.label : 'Fit it into place.';
+    return `<section class="step">
+${renderIsometricSVG(cells)}
+<div>
+<h2>Step ${i + 1} of ${steps.length}: piece ${step.pieceIndex + 1}</h2>
+<p>${how} Layer diagrams are seen from above, bottom layer first.</p>
+<div class="layers">${renderLayerGrids(cells, bounds)}</div>
+</div>
+</section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>${INSTRUCTIONS_CSS}</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<p class="intro">Place the pieces in this order. Each new piece is in colour, the ones already placed are grey.${fallbackNote}</p>
+<p class="no-print"><button type="button" onclick="window.print()">Print</button></p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+// Opens instructions for the solution `renderer` (a SolutionRenderer)
+// shows when the button is clicked
+function bindInstructionsButton(buttonId, renderer) {
+  const button = document.getElementById(buttonId);
+  if (!button || !renderer) return;
+
+  button.addEventListener('click', () => {
+    const solution = renderer._getSolution();
+    if (!solution) return;
+
+    const title = `${renderer.puzzle.name}: solution ${renderer.currentSolution + 1}`;
+    const html = renderInstructionsHTML(solution, {
+      title,
+      getColor: (pieceIndex) => renderer._getPieceColor(pieceIndex),
+    });
+    const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+    window.open(url, '_blank');
+    // The new tab has loaded the document long before this fires
+    window.setTimeout(() => URL.revokeObjectURL(url), 60000);
+  });
+}
@@ -0,0 +1,76 @@
+/**
+ * solver-worker.js - Background polycube solver
+ *
+ * Runs enumerateUniquePolycubeSolutions off the main thread and streams the
+ * unique solutions back to the page in batches. The search itself is
+ * synchronous, so cancellation is done by the page terminating the worker
+ * (see SolverClient in base.js). Used by the Bedlam search, the piece
+ * editor and the figure gallery.
+ *
+ * In:  { type: 'start', pieces, rotations, cells, knownSolutions,
+ *        maxSolutions, maxRawSolutions }
+ *      (rotations as produced by rotationToMatrix; everything after cells
+ *      is optional)
+ * Out: { type: 'solutions', solutions }
+ *      { type: 'progress', nodes, solutions, fraction }
+ *      { type: 'done', solutions, complete }
+ */
+
+importScripts('solver.js', 'symmetry.js', 'dlx.js');
+
+const FLUSH_INTERVAL_MS = 250;
+const FLUSH_BATCH_SIZE = 50;
+
+let pending = [];
+let lastFlush = 0;
+
+function flushSolutions(force) {
+  if (pending.length === 0) return;
+
+  const now = Date.now();
+  if (!force && pending.length < FLUSH_BATCH_SIZE && now - lastFlush < FLUSH_INTERVAL_MS) {
+    return;
+  }
+
+  self.postMessage({ type: 'solutions', solutions: pending });
+  pending = [];
+  lastFlush = now;
+}
+
+self.onmessage = (e) => {
+  const message = e.data;
+  if (!message || message.type !== 'start') return;
+
+  let found = 0;
+
+  lastFlush = Date.now();
+  const { complete } = enumerateUniquePolycubeSolutions(
+    message.pieces,
+    message.cells,
+    message.rotations.map(matrixToRotation),
+    {
+      knownSolutions: message.knownSolutions,
+      maxSolutions: message.maxSolutions,
+      maxRawSolutions: message.maxRawSolutions,
+      onSolution: (solution, count) => {
+        found = count;
+        pending.push(solution);
+        flushSolutions(false);
+        return true;
+      },
+      onProgress: (progress) => {
+        flushSolutions(false);
+        self.postMessage({
+          type: 'progress',
+          nodes: progress.updates,
+          solutions: found,
+          fraction: progress.fraction,
+        });
+        return true;
+      },
+    }
+  );
+
+  flushSolutions(true);
+  self.postMessage({ type: 'done', solutions: found, complete });
+};
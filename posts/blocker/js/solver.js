@@ -0,0 +1,519 @@
+/**
+ * solver.js - In-browser port of the Rust backtracking solver
+ *
+ * Provides:
+ * - Orientation generation (rotate + normalize + dedup)
+ * - Placement tables indexed by [piece][target cell]
+ * - First-empty-cell backtracking search with canonical state pruning
+ * - An optional event trace (try / reject / place / undo / solution)
+ *   used to replay the search in BacktrackRenderer
+ *
+ * Works on any box-shaped grid; cells are indexed x-major, then y, then z,
+ * exactly like `coord_to_idx` in the Rust code. Canonical keys come from
+ * symmetry.js.
+ */
+
+// ============================================================
+// GRID
+// ============================================================
+
+function createGrid(dims = [3, 3, 3]) {
+  const cellCount = dims[0] * dims[1] * dims[2];
+  return {
+    dims,
+    cellCount,
+    wordCount: Math.ceil(cellCount / 32),
+  };
+}
+
+function coordToIndex(grid, x, y, z) {
+  return (x * grid.dims[1] + y) * grid.dims[2] + z;
+}
+
+function indexToCoord(grid, cellIndex) {
+  const sy = grid.dims[1];
+  const sz = grid.dims[2];
+  return [
+    Math.floor(cellIndex / (sy * sz)),
+    Math.floor(cellIndex / sz) % sy,
+    cellIndex % sz,
+  ];
+}
+
+function isInGrid(grid, x, y, z) {
+  return (
+    x >= 0 && x < grid.dims[0] &&
+    y >= 0 && y < grid.dims[1] &&
+    z >= 0 && z < grid.dims[2]
+  );
+}
+
+// Occupancy masks are arrays of 32-bit words so grids larger than 27 cells
+// (the 64-cell Bedlam cube) work with the same AND/OR collision checks.
+function masksCollide(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if ((a[i] & b[i]) !== 0) return true;
+  }
+  return false;
+}
+
+function combineMasks(a, b) {
+  const out = new Uint32Array(a.length);
+  for (let i = 0; i < a.length; i++) {
+    out[i] = a[i] | b[i];
+  }
+  return out;
+}
+
+function isCellOccupied(occupied, cellIndex) {
+  return ((occupied[cellIndex >>> 5] >>> (cellIndex & 31)) & 1) === 1;
+}
+
+function buildNeighbourTable(grid) {
+  const steps = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+  const neighbours = [];
+
+  for (let cellIndex = 0; cellIndex < grid.cellCount; cellIndex++) {
+    const [x, y, z] = indexToCoord(grid, cellIndex);
+    neighbours.push(steps
+      .filter(([dx, dy, dz]) => isInGrid(grid, x + dx, y + dy, z + dz))
+      .map(([dx, dy, dz]) => coordToIndex(grid, x + dx, y + dy, z + dz)));
+  }
+
+  return neighbours;
+}
+
+// True if placing `cells` walls off an empty region too small for any piece.
+// The flood fill stops as soon as it has seen `minSize` cells.
+function leavesSmallRegion(neighbours, occupied, cells, minSize) {
+  for (const cellIndex of cells) {
+    for (const start of neighbours[cellIndex]) {
+      if (isCellOccupied(occupied, start)) continue;
+
+      const region = [start];
+      for (let i = 0; i < region.length && region.length < minSize; i++) {
+        for (const next of neighbours[region[i]]) {
+          if (!isCellOccupied(occupied, next) && !region.includes(next)) {
+            region.push(next);
+          }
+        }
+      }
+
+      if (region.length < minSize) return true;
+    }
+  }
+  return false;
+}
+
+function findFirstEmptyCell(grid, occupied) {
+  for (let word = 0; word < grid.wordCount; word++) {
+    const free = ~occupied[word];
+    if (free === 0) continue;
+
+    const bit = 31 - Math.clz32(free & -free);
+    const cellIndex = word * 32 + bit;
+    return cellIndex < grid.cellCount ? cellIndex : -1;
+  }
+  return -1;
+}
+
+// Empty cell with the fewest placements that still fit (Knuth's "minimum
+// remaining values" heuristic). A cell with none is returned immediately so
+// the branch dies without trying anything.
+function findMostConstrainedCell(grid, table, occupied, remaining) {
+  let bestCell = -1;
+  let bestCount = Infinity;
+
+  for (let cellIndex = 0; cellIndex < grid.cellCount; cellIndex++) {
+    if (isCellOccupied(occupied, cellIndex)) continue;
+
+    let count = 0;
+    for (const pieceIndex of remaining) {
+      for (const placement of table[pieceIndex][cellIndex]) {
+        if (!masksCollide(occupied, placement.mask)) count++;
+        if (count >= bestCount) break;
+      }
+      if (count >= bestCount) break;
+    }
+
+    if (count < bestCount) {
+      bestCell = cellIndex;
+      bestCount = count;
+      if (count === 0) break;
+    }
+  }
+
+  return bestCell;
+}
+
+// ============================================================
+// ORIENTATIONS AND PLACEMENTS
+// ============================================================
+
+function normalizeToOrigin(coords) {
+  let minX = Infinity, minY = Infinity, minZ = Infinity;
+  for (const [x, y, z] of coords) {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    minZ = Math.min(minZ, z);
+  }
+  return coords.map(([x, y, z]) => [x - minX, y - minY, z - minZ]);
+}
+
+function compareCoordLists(a, b) {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    for (let axis = 0; axis < 3; axis++) {
+      const diff = a[i][axis] - b[i][axis];
+      if (diff !== 0) return diff;
+    }
+  }
+  return a.length - b.length;
+}
+
+// Mirrors `all_orientations`: rotate, normalize, sort, then drop duplicates.
+// Rotation reorders the cubes, so a piece's symmetric orientations come out
+// as different lists of the same cubes; comparing cube sets (rather than
+// adjacent lists, as the Rust dedup does) keeps one of each.
+function allOrientations(piece, rotations) {
+  const seen = new Set();
+  return rotations
+    .map((rotate) => normalizeToOrigin(piece.map(([x, y, z]) => rotate(x, y, z))))
+    .sort(compareCoordLists)
+    .filter((orientation) => {
+      const key = coordSetKey(orientation);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+function tryCreatePlacement(grid, orientation, target, anchor) {
+  const mask = new Uint32Array(grid.wordCount);
+  const cubes = [];
+  const cells = [];
+  const ox = target[0] - anchor[0];
+  const oy = target[1] - anchor[1];
+  const oz = target[2] - anchor[2];
+
+  for (const [px, py, pz] of orientation) {
+    const x = px + ox;
+    const y = py + oy;
+    const z = pz + oz;
+    if (!isInGrid(grid, x, y, z)) return null;
+
+    const cellIndex = coordToIndex(grid, x, y, z);
+    mask[cellIndex >>> 5] |= 1 << (cellIndex & 31);
+    cubes.push([x, y, z]);
+    cells.push(cellIndex);
+  }
+
+  cells.sort((a, b) => a - b);
+  return { mask, cubes, cells };
+}
+
+function buildPlacementTable(grid, pieces, rotations) {
+  return pieces.map((piece) => {
+    const orientations = allOrientations(piece, rotations);
+    const byCell = [];
+
+    for (let cellIndex = 0; cellIndex < grid.cellCount; cellIndex++) {
+      const target = indexToCoord(grid, cellIndex);
+      const placements = [];
+
+      for (const orientation of orientations) {
+        for (const anchor of orientation) {
+          const placement = tryCreatePlacement(grid, orientation, target, anchor);
+          if (placement) placements.push(placement);
+        }
+      }
+
+      byCell.push(placements);
+    }
+
+    return byCell;
+  });
+}
+
+// Rotation functions cannot be posted to a worker, so they travel as the
+// images of the three unit axes and are rebuilt on the other side.
+function rotationToMatrix(rotate) {
+  return [rotate(1, 0, 0), rotate(0, 1, 0), rotate(0, 0, 1)];
+}
+
+function matrixToRotation([ex, ey, ez]) {
+  return (x, y, z) => [
+    ex[0] * x + ey[0] * y + ez[0] * z,
+    ex[1] * x + ey[1] * y + ez[1] * z,
+    ex[2] * x + ey[2] * y + ez[2] * z,
+  ];
+}
+
+// ============================================================
+// SYMMETRY BREAKING
+// ============================================================
+
+// Keeps one placement per rotation orbit for a single asymmetric piece, so
+// the search no longer visits every solution once per rotation. Placements
+// that some rotation maps onto themselves still let duplicates through;
+// those are caught by the solution-level dedupe.
+function breakRotationSymmetry(grid, table, pieces, rotations) {
+  const pieceIndex = pieces.findIndex((piece) => (
+    allOrientations(piece, rotations).length === rotations.length
+  ));
+  if (pieceIndex < 0) return;
+
+  const symmetries = findShapeSymmetries(boxCells(grid.dims), rotations);
+  const isOrbitMinimum = (cells) => symmetries.every((symmetry) => {
+    const mapped = cells.map((cellIndex) => symmetry.cells[cellIndex]).sort((a, b) => a - b);
+    for (let i = 0; i < cells.length; i++) {
+      if (cells[i] !== mapped[i]) return cells[i] < mapped[i];
+    }
+    return true;
+  });
+
+  table[pieceIndex] = table[pieceIndex].map((placements) => (
+    placements.filter((placement) => isOrbitMinimum(placement.cells))
+  ));
+}
+
+// ============================================================
+// SEARCH
+// ============================================================
+
+/**
+ * Iterative first-empty-cell backtracking search.
+ *
+ * options:
+ * - dims: grid size, default [3, 3, 3]
+ * - maxSolutions: stop after this many solutions (default: all)
+ * - trace: record search events (default false)
+ * - maxEvents: stop once the trace reaches this length
+ * - dedupe: 'states' (default) prunes partial states already seen under a
+ *   symmetry, like the Rust solver; 'solutions' only drops complete
+ *   solutions equivalent to one already found, which needs far less memory
+ *   on large grids; false keeps every solution
+ * - breakSymmetry: restrict one piece to a single placement per rotation
+ *   orbit (pair with dedupe: 'solutions')
+ * - cellOrder: 'first-empty' (default, as in Rust) or 'fewest-options',
+ *   which branches on the most constrained cell and is dramatically
+ *   faster on big puzzles
+ * - pruneRegions: reject placements that wall off an empty pocket smaller
+ *   than the smallest piece (reject reason 'region')
+ * - knownSolutions: solutions (and their symmetric twins) that should not
+ *   be reported again; only used with dedupe: 'solutions'
+ * - onSolution(solution, count): called as each solution is found;
+ *   returning false stops the search
+ * - onProgress({ nodes, solutions, fraction }): called every
+ *   `progressInterval` placements (default 20000) with a rough estimate of
+ *   how much of the search tree has been covered
+ *
+ * Solutions use the same `[pieceIndex, cubes]` shape as SOLUTIONS.
+ * Trace events are `{ type, pieceIndex, cubes, depth }` where type is
+ * 'try', 'reject' (with `reason` 'collision', 'region' or 'symmetric'), 'place',
+ * 'undo' or 'solution'.
+ */
+function solvePuzzle(pieces, rotations, options = {}) {
+  const grid = createGrid(options.dims);
+  const maxSolutions = options.maxSolutions || Infinity;
+  const maxEvents = options.maxEvents || Infinity;
+  const recordTrace = !!options.trace;
+  const dedupe = options.dedupe === undefined || options.dedupe === true
+    ? 'states'
+    : options.dedupe;
+  const progressInterval = options.progressInterval || 20000;
+  const neighbours = options.pruneRegions ? buildNeighbourTable(grid) : null;
+  const minPieceSize = Math.min(...pieces.map((piece) => piece.length));
+
+  const table = buildPlacementTable(grid, pieces, rotations);
+  if (options.breakSymmetry) {
+    breakRotationSymmetry(grid, table, pieces, rotations);
+  }
+
+  const canonicalKey = dedupe ? createCanonicalizer(pieces, boxCells(grid.dims), rotations) : null;
+  const seenStates = new Set();
+  const seenSolutions = new Set(
+    dedupe === 'solutions' && options.knownSolutions
+      ? options.knownSolutions.map(canonicalKey)
+      : []
+  );
+  const solutions = [];
+  const events = [];
+  let stopped = false;
+  let nodes = 0;
+
+  const emit = (type, pieceIndex, cubes, depth, reason) => {
+    if (!recordTrace) return;
+    const event = { type, pieceIndex, cubes, depth };
+    if (reason) event.reason = reason;
+    events.push(event);
+    if (events.length >= maxEvents) stopped = true;
+  };
+
+  const stack = [{
+    placed: [],
+    remaining: pieces.map((_, i) => i),
+    occupied: new Uint32Array(grid.wordCount),
+    pieceCursor: 0,
+    placementCursor: 0,
+  }];
+
+  // The partial solution currently "on the table", used to emit undo events
+  let shown = [];
+
+  while (stack.length > 0 && !stopped) {
+    const partial = stack.pop();
+
+    for (let i = shown.length - 1; i >= partial.placed.length; i--) {
+      emit('undo', shown[i][0], shown[i][1], i);
+    }
+    shown = partial.placed;
+
+    if (partial.targetCell === undefined) {
+      partial.targetCell = options.cellOrder === 'fewest-options'
+        ? findMostConstrainedCell(grid, table, partial.occupied, partial.remaining)
+        : findFirstEmptyCell(grid, partial.occupied);
+    }
+    const targetCell = partial.targetCell;
+    if (targetCell < 0) {
+      if (dedupe === 'solutions') {
+        const key = canonicalKey(partial.placed);
+        if (seenSolutions.has(key)) continue;
+        seenSolutions.add(key);
+      }
+
+      const solution = partial.placed.slice();
+      solutions.push(solution);
+      emit('solution', -1, null, solution.length);
+      if (options.onSolution && options.onSolution(solution, solutions.length) === false) break;
+      if (solutions.length >= maxSolutions) break;
+      continue;
+    }
+
+    pieces: while (partial.pieceCursor < partial.remaining.length && !stopped) {
+      const pieceIndex = partial.remaining[partial.pieceCursor];
+      const placements = table[pieceIndex][targetCell];
+
+      while (partial.placementCursor < placements.length) {
+        const placement = placements[partial.placementCursor];
+        partial.placementCursor += 1;
+        const depth = partial.placed.length;
+
+        emit('try', pieceIndex, placement.cubes, depth);
+        if (masksCollide(partial.occupied, placement.mask)) {
+          emit('reject', pieceIndex, placement.cubes, depth, 'collision');
+          if (stopped) break pieces;
+          continue;
+        }
+
+        nodes += 1;
+        if (options.onProgress && nodes % progressInterval === 0) {
+          options.onProgress({
+            nodes,
+            solutions: solutions.length,
+            fraction: estimateProgress(table, stack.concat([partial])),
+          });
+        }
+
+        const occupied = combineMasks(partial.occupied, placement.mask);
+        if (neighbours && leavesSmallRegion(neighbours, occupied, placement.cells, minPieceSize)) {
+          emit('reject', pieceIndex, placement.cubes, depth, 'region');
+          if (stopped) break pieces;
+          continue;
+        }
+
+        const placed = partial.placed.concat([[pieceIndex, placement.cubes]]);
+        if (dedupe === 'states') {
+          const key = canonicalKey(placed);
+          if (seenStates.has(key)) {
+            emit('reject', pieceIndex, placement.cubes, depth, 'symmetric');
+            if (stopped) break pieces;
+            continue;
+          }
+          seenStates.add(key);
+        }
+
+        emit('place', pieceIndex, placement.cubes, depth);
+
+        // Save the current partial for backtracking, then explore the branch
+        stack.push(partial);
+        stack.push({
+          placed,
+          remaining: partial.remaining.filter((i) => i !== pieceIndex),
+          occupied,
+          pieceCursor: 0,
+          placementCursor: 0,
+        });
+        break pieces;
+      }
+
+      partial.pieceCursor += 1;
+      partial.placementCursor = 0;
+    }
+  }
+
+  return { solutions, events, complete: stack.length === 0 && !stopped };
+}
+
+// Rough share of the search tree already covered, assuming sibling subtrees
+// are about the same size. Only the top few levels of the stack matter.
+function estimateProgress(table, stack) {
+  let fraction = 0;
+  let scale = 1;
+
+  for (let level = 0; level < Math.min(3, stack.length); level++) {
+    const partial = stack[level];
+    let total = 0;
+    let done = 0;
+
+    partial.remaining.forEach((pieceIndex, i) => {
+      const count = table[pieceIndex][partial.targetCell].length;
+      total += count;
+      if (i < partial.pieceCursor) {
+        done += count;
+      } else if (i === partial.pieceCursor) {
+        done += Math.max(0, partial.placementCursor - 1);
+      }
+    });
+
+    if (total === 0) break;
+    fraction += scale * done / total;
+    scale /= total;
+  }
+
+  return Math.min(1, fraction);
+}
+
+// Replays a trace into per-step snapshots: the pieces committed so far plus
+// the candidate piece that the event was about (if any).
+function buildTraceStates(events) {
+  const states = [];
+  let placed = [];
+
+  for (const event of events) {
+    if (event.type === 'place') {
+      placed = placed.concat([[event.pieceIndex, event.cubes]]);
+      states.push({ event, placed, candidate: null });
+    } else if (event.type === 'undo') {
+      placed = placed.slice(0, event.depth);
+      states.push({ event, placed, candidate: [event.pieceIndex, event.cubes] });
+    } else if (event.type === 'try' || event.type === 'reject') {
+      states.push({ event, placed, candidate: [event.pieceIndex, event.cubes] });
+    } else {
+      states.push({ event, placed, candidate: null });
+    }
+  }
+
+  return states;
+}
+
+// Export for use in other scripts (workers have `self` but no `window`)
+const solverExports = typeof window !== 'undefined' ? window : self;
+solverExports.createGrid = createGrid;
+solverExports.allOrientations = allOrientations;
+solverExports.buildPlacementTable = buildPlacementTable;
+solverExports.normalizeToOrigin = normalizeToOrigin;
+solverExports.rotationToMatrix = rotationToMatrix;
+solverExports.matrixToRotation = matrixToRotation;
+solverExports.solvePuzzle = solvePuzzle;
+solverExports.buildTraceStates = buildTraceStates;
@@ -0,0 +1,364 @@
+/**
+ * symmetry.js - Canonical forms and symmetry classes of solutions
+ *
+ * Provides:
+ * - Shape helpers (bounds, centre, box cells) shared by solvers and renderers
+ * - Shape classes and mirror pairing of pieces (which piece a reflected
+ *   piece turns into)
+ * - The symmetries of a target shape under the 24 rotations and reflection
+ * - Canonical keys and canonical forms of (partial) solutions
+ * - Grouping of solution lists such as SOLUTIONS and BEDLAM_SOLUTIONS into
+ *   equivalence classes
+ *
+ * Depends on allOrientations / normalizeToOrigin from solver.js.
+ */
+
+// ============================================================
+// SHAPES
+// ============================================================
+
+function cellKey(x, y, z) {
+  return `${x},${y},${z}`;
+}
+
+function coordSetKey(coords) {
+  return coords
+    .map(([x, y, z]) => cellKey(x, y, z))
+    .sort()
+    .join(';');
+}
+
+// Cells of a box in the same order as the solver's cell indices
+function boxCells(dims) {
+  const cells = [];
+  for (let x = 0; x < dims[0]; x++) {
+    for (let y = 0; y < dims[1]; y++) {
+      for (let z = 0; z < dims[2]; z++) {
+        cells.push([x, y, z]);
+      }
+    }
+  }
+  return cells;
+}
+
+// Cells from a layer drawing: layers run bottom to top (y), each layer's
+// rows run along z and their characters along x, '#' marking a cube.
+function layersToCells(layers) {
+  const cells = [];
+  layers.forEach((rows, y) => {
+    rows.forEach((row, z) => {
+      for (let x = 0; x < row.length; x++) {
+        if (row[x] === '#') cells.push([x, y, z]);
+      }
+    });
+  });
+  return cells;
+}
+
+function shapeBounds(cells) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (const cell of cells) {
+    for (let axis = 0; axis < 3; axis++) {
+      min[axis] = Math.min(min[axis], cell[axis]);
+      max[axis] = Math.max(max[axis], cell[axis]);
+    }
+  }
+  return { min, max };
+}
+
+function shapeCenter(cells) {
+  const { min, max } = shapeBounds(cells);
+  return [0, 1, 2].map((axis) => (min[axis] + max[axis]) / 2);
+}
+
+// The shape a (partial) solution fills
+function solutionCells(solution) {
+  return solution.flatMap(([, cubes]) => cubes);
+}
+
+// Dense lookup from coordinates to cell index (-1 outside the shape). The
+// canonicalizer runs once per search node, so string keys are too slow here.
+function createCellIndexer(cells) {
+  const { min, max } = shapeBounds(cells);
+  const size = [0, 1, 2].map((axis) => max[axis] - min[axis] + 1);
+  const lookup = new Int32Array(size[0] * size[1] * size[2]).fill(-1);
+  const offset = (x, y, z) => (
+    ((x - min[0]) * size[1] + (y - min[1])) * size[2] + (z - min[2])
+  );
+
+  cells.forEach(([x, y, z], i) => { lookup[offset(x, y, z)] = i; });
+
+  return (x, y, z) => {
+    if (x < min[0] || y < min[1] || z < min[2] || x > max[0] || y > max[1] || z > max[2]) {
+      return -1;
+    }
+    return lookup[offset(x, y, z)];
+  };
+}
+
+// ============================================================
+// SYMMETRIES
+// ============================================================
+
+// For each piece, the index of the first piece with the same shape. Sets
+// with repeated shapes (the Bedlam data has three pairs) must not tell the
+// copies apart, or swapping them would count as a different solution.
+function findShapeClasses(pieces, rotations) {
+  const orientationKeys = pieces.map((piece) => new Set(
+    allOrientations(piece, rotations).map(coordSetKey)
+  ));
+
+  return pieces.map((piece, i) => {
+    const key = coordSetKey(normalizeToOrigin(piece));
+    return orientationKeys.findIndex((keys, j) => j <= i && keys.has(key));
+  });
+}
+
+// The piece each piece turns into under reflection: itself for achiral
+// pieces, its partner for a chiral pair. Always a permutation, so copies of
+// a shape are paired up in order. Null when the mirrored set is not the
+// same set, i.e. reflection is not a symmetry of this puzzle.
+function findMirrorPieces(pieces, rotations) {
+  const shapeOf = findShapeClasses(pieces, rotations);
+  const orientationKeys = pieces.map((piece) => new Set(
+    allOrientations(piece, rotations).map(coordSetKey)
+  ));
+
+  const copies = new Map();
+  pieces.forEach((_, i) => {
+    if (!copies.has(shapeOf[i])) copies.set(shapeOf[i], []);
+    copies.get(shapeOf[i]).push(i);
+  });
+
+  const mirrorOf = [];
+  for (const [shape, members] of copies) {
+    const mirrored = coordSetKey(normalizeToOrigin(pieces[shape].map(([x, y, z]) => [-x, y, z])));
+    const match = orientationKeys.findIndex((keys) => keys.has(mirrored));
+    if (match < 0) return null;
+
+    const partners = copies.get(shapeOf[match]);
+    if (partners.length !== members.length) return null;
+    members.forEach((pieceIndex, i) => { mirrorOf[pieceIndex] = partners[i]; });
+  }
+  return mirrorOf;
+}
+
+/**
+ * Transforms that map `cells` onto itself, as cell-index permutations
+ * (`cells[i]` moves to `cells[transform.cells[i]]`). A reflection mirrors x
+ * before rotating. Transform indices are stable across shapes: 0-23 are
+ * ROTATIONS[i], 24-47 the same rotations after the mirror. Coordinates are
+ * doubled around the bounding-box centre to stay integral.
+ */
+function findShapeSymmetries(cells, rotations, includeReflection = false) {
+  const indexOf = createCellIndexer(cells);
+  const { min, max } = shapeBounds(cells);
+  const symmetries = [];
+
+  for (const reflect of includeReflection ? [false, true] : [false]) {
+    rotations.forEach((rotate, rotationIndex) => {
+      const mapped = [];
+      for (const [x, y, z] of cells) {
+        const cx = 2 * x - (min[0] + max[0]);
+        const [rx, ry, rz] = rotate(
+          reflect ? -cx : cx,
+          2 * y - (min[1] + max[1]),
+          2 * z - (min[2] + max[2])
+        );
+        const target = indexOf(
+          (rx + min[0] + max[0]) / 2,
+          (ry + min[1] + max[1]) / 2,
+          (rz + min[2] + max[2]) / 2
+        );
+        if (target < 0) break;
+        mapped.push(target);
+      }
+
+      if (mapped.length === cells.length) {
+        symmetries.push({
+          index: (reflect ? rotations.length : 0) + rotationIndex,
+          rotationIndex,
+          reflect,
+          cells: mapped,
+        });
+      }
+    });
+  }
+
+  return symmetries;
+}
+
+/**
+ * Everything needed to compare solutions of one puzzle up to symmetry.
+ * Reflection is only included when every piece's mirror image is in the
+ * set; chiral pieces then swap identities under it (`mirrorOf`). Cells are
+ * labelled by shape (`shapeOf`), so identical pieces are interchangeable.
+ */
+function createSymmetryGroup(pieces, cells, rotations) {
+  const shapeOf = findShapeClasses(pieces, rotations);
+  const mirrorOf = findMirrorPieces(pieces, rotations);
+  const transforms = findShapeSymmetries(cells, rotations, !!mirrorOf).map((transform) => {
+    // The inverse lets candidates be compared cell by cell in output order
+    const source = new Array(cells.length);
+    transform.cells.forEach((target, cellIndex) => { source[target] = cellIndex; });
+    return { ...transform, source };
+  });
+
+  return {
+    cells,
+    indexOf: createCellIndexer(cells),
+    shapeOf,
+    mirrorOf,
+    transforms,
+  };
+}
+
+// ============================================================
+// CANONICAL FORMS
+// ============================================================
+
+// Shape ids per cell, stored +1 so that 0 means "empty cell"
+function fillLabels(group, labels, placed) {
+  labels.fill(0);
+  for (const [pieceIndex, cubes] of placed) {
+    for (const [x, y, z] of cubes) {
+      labels[group.indexOf(x, y, z)] = group.shapeOf[pieceIndex] + 1;
+    }
+  }
+}
+
+function labelAfter(group, labels, transform, cellIndex) {
+  const id = labels[transform.source[cellIndex]];
+  return (id && transform.reflect) ? group.shapeOf[group.mirrorOf[id - 1]] + 1 : id;
+}
+
+// The transform whose image of `labels` is lexicographically smallest,
+// abandoning each candidate at its first difference from the best so far.
+function findCanonicalTransform(group, labels) {
+  let best = group.transforms[0];
+  for (let i = 1; i < group.transforms.length; i++) {
+    const transform = group.transforms[i];
+    for (let cellIndex = 0; cellIndex < labels.length; cellIndex++) {
+      const diff = labelAfter(group, labels, transform, cellIndex)
+        - labelAfter(group, labels, best, cellIndex);
+      if (diff === 0) continue;
+      if (diff < 0) best = transform;
+      break;
+    }
+  }
+  return best;
+}
+
+function labelsKey(group, labels, transform) {
+  let result = '';
+  for (let cellIndex = 0; cellIndex < labels.length; cellIndex++) {
+    result += String.fromCharCode(labelAfter(group, labels, transform, cellIndex));
+  }
+  return result;
+}
+
+/**
+ * Returns canonicalKey(placed): a string equal for exactly those (partial)
+ * solutions that some symmetry of the puzzle maps onto each other. The
+ * scratch buffer is reused, so one canonicalizer per search.
+ */
+function createCanonicalizer(pieces, cells, rotations) {
+  const group = createSymmetryGroup(pieces, cells, rotations);
+  const labels = new Uint8Array(cells.length);
+
+  return function canonicalKey(placed) {
+    fillLabels(group, labels, placed);
+    return labelsKey(group, labels, findCanonicalTransform(group, labels));
+  };
+}
+
+// Applies one of `group.transforms`, relabelling chiral pieces if it mirrors
+function transformSolution(group, solution, transform) {
+  return solution
+    .map(([pieceIndex, cubes]) => [
+      transform.reflect ? group.mirrorOf[pieceIndex] : pieceIndex,
+      cubes.map(([x, y, z]) => group.cells[transform.cells[group.indexOf(x, y, z)]].slice()),
+    ])
+    .sort((a, b) => a[0] - b[0]);
+}
+
+// { key, transform, solution } where `transform` takes the input to its
+// canonical form `solution`
+function canonicalizeSolution(group, solution) {
+  const labels = new Uint8Array(group.cells.length);
+  fillLabels(group, labels, solution);
+  const transform = findCanonicalTransform(group, labels);
+
+  return {
+    key: labelsKey(group, labels, transform),
+    transform,
+    solution: transformSolution(group, solution, transform),
+  };
+}
+
+/**
+ * Every distinct image of `solution` under the group, in transform order:
+ * `[{ transform, solution }]`. A solution with symmetries of its own has
+ * fewer images than the group has transforms.
+ */
+function solutionOrbit(group, solution) {
+  const identity = { reflect: false, source: group.cells.map((_, i) => i) };
+  const labels = new Uint8Array(group.cells.length);
+  const seen = new Set();
+  const images = [];
+
+  for (const transform of group.transforms) {
+    const image = transformSolution(group, solution, transform);
+    fillLabels(group, labels, image);
+    const key = labelsKey(group, labels, identity);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    images.push({ transform, solution: image });
+  }
+
+  return images;
+}
+
+/**
+ * Groups a list of solutions into equivalence classes, in order of first
+ * appearance: `[{ key, canonical, members: [{ solutionIndex, transform }] }]`
+ * where each member's transform maps it onto `canonical`.
+ */
+function classifySolutions(group, solutions) {
+  const classes = new Map();
+
+  solutions.forEach((solution, solutionIndex) => {
+    const { key, transform, solution: canonical } = canonicalizeSolution(group, solution);
+    if (!classes.has(key)) classes.set(key, { key, canonical, members: [] });
+    classes.get(key).members.push({ solutionIndex, transform });
+  });
+
+  return Array.from(classes.values());
+}
+
+// e.g. "transform 26 (mirror, rotation 2)"; indices are 0-based like ROTATIONS
+function describeTransform(transform) {
+  const parts = transform.reflect
+    ? `mirror, rotation ${transform.rotationIndex}`
+    : `rotation ${transform.rotationIndex}`;
+  return `transform ${transform.index} (${parts})`;
+}
+
+// Export for use in other scripts (workers have `self` but no `window`)
+const symmetryExports = typeof window !== 'undefined' ? window : self;
+symmetryExports.boxCells = boxCells;
+symmetryExports.layersToCells = layersToCells;
+symmetryExports.shapeBounds = shapeBounds;
+symmetryExports.shapeCenter = shapeCenter;
+symmetryExports.solutionCells = solutionCells;
+symmetryExports.findShapeClasses = findShapeClasses;
+symmetryExports.findMirrorPieces = findMirrorPieces;
+symmetryExports.findShapeSymmetries = findShapeSymmetries;
+symmetryExports.createSymmetryGroup = createSymmetryGroup;
+symmetryExports.createCanonicalizer = createCanonicalizer;
+symmetryExports.transformSolution = transformSolution;
+symmetryExports.canonicalizeSolution = canonicalizeSolution;
+symmetryExports.solutionOrbit = solutionOrbit;
+symmetryExports.classifySolutions = classifySolutions;
+symmetryExports.describeTransform = describeTransform;
@@ -0,0 +1,533 @@
+#!/usr/bin/env node
+/**
+ * render-fallbacks.js - Regenerates images/fallback-*.png without a browser
+ *
+ * Loads the page scripts (base.js, blocker.js, bedlam.js, ...) into Node,
+ * builds each figure with its real renderer class and hands the renderer a
+ * software painter in place of WebGL. Scene logic (piece layout, ROTATIONS,
+ * explode, palettes, highlights) is the page's own; only the last step,
+ * filling pixels, happens here. The rasterizer ports the fragment shader
+ * including wood grain, so the images match what a WebGL browser shows.
+ *
+ * Usage:
+ *   node tools/render-fallbacks.js [--only intro,bedlam] [--width 1600]
+ *     [--height 800] [--supersample 2] [--distance 7] [--rotation-x 0.4]
+ *     [--rotation-y 0.8] [--out images]
+ *
+ * Camera flags override every selected figure's pose; without them each
+ * figure uses the pose from the page. Output is deterministic.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const zlib = require('zlib');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+// Page order, minus editor.js (no fallback image)
+const PAGE_SCRIPTS = [
+  'base.js',
+  'solutions-data.js',
+  'figures-data.js',
+  'solver.js',
+  'symmetry.js',
+  'dlx.js',
+  'blocker.js',
+  'bedlam-solutions-data.js',
+  'bedlam.js',
+];
+
+const BACKGROUND = 0.96;
+
+const DEFAULT_WOOD = { shift: [0, 0], angle: 0, scale: 3.0, seed: 0, mix: 0.4 };
+
+// Each figure as the page sets it up; `setup` puts it in the state the
+// image shows
+const FIGURES = {
+  intro: {
+    file: 'fallback-intro.png',
+    renderer: 'IntroRenderer',
+    options: { useWoodColors: true, useWoodGrain: true, distance: 7, rotationX: 0.35, rotationY: 0.6 },
+  },
+  pieces: {
+    file: 'fallback-pieces.png',
+    renderer: 'PiecesRenderer',
+    options: { rotationX: 0.3, rotationY: 0.2 },
+  },
+  rotations: {
+    file: 'fallback-rotations.png',
+    renderer: 'RotationsRenderer',
+    options: { rotationX: 0.4, rotationY: 0.5 },
+  },
+  backtrack: {
+    file: 'fallback-backtrack.png',
+    renderer: 'BacktrackRenderer',
+    options: { distance: 9, rotationX: 0.4, rotationY: 0.7 },
+    // Part way through the search, with a piece just placed
+    setup: (renderer) => renderer.setStep(Math.floor(renderer.maxSteps * 0.6)),
+  },
+  canonical: {
+    file: 'fallback-canonical.png',
+    renderer: 'CanonicalRenderer',
+    options: { distance: 6, rotationX: 0.4, rotationY: 0.6 },
+  },
+  solution: {
+    file: 'fallback-solution.png',
+    renderer: 'SolutionRenderer',
+    options: { distance: 7, rotationX: 0.4, rotationY: 0.8 },
+    setup: (renderer) => renderer.setExplode(0.6),
+  },
+  bedlam: {
+    file: 'fallback-bedlam.png',
+    renderer: 'IntroRenderer',
+    puzzle: 'BEDLAM_PUZZLE',
+    options: { distance: 10, rotationX: 0.4, rotationY: 0.8, maxExplode: 3 },
+  },
+};
+
+// ============================================================
+// PAGE SCRIPTS
+// ============================================================
+
+function createStubElement() {
+  return {
+    addEventListener() {},
+    getContext: () => null,
+    getBoundingClientRect: () => ({ left: 0, top: 0, width: 0, height: 0 }),
+    classList: { add() {}, remove() {} },
+    style: {},
+  };
+}
+
+// Just enough DOM for the scripts to load; nothing here is drawn to
+function loadPageScripts() {
+  Object.assign(globalThis, {
+    window: globalThis,
+    innerWidth: 1024,
+    innerHeight: 768,
+    scrollY: 0,
+    devicePixelRatio: 1,
+    addEventListener() {},
+    requestAnimationFrame: () => 0,
+    document: {
+      hidden: false,
+      currentScript: null,
+      addEventListener() {},
+      getElementById: () => null,
+      createElement: createStubElement,
+    },
+  });
+
+  for (const file of PAGE_SCRIPTS) {
+    const source = fs.readFileSync(path.join(JS_DIR, file), 'utf8');
+    vm.runInThisContext(source, { filename: file });
+  }
+}
+
+// Top-level consts and classes of the page scripts live in the shared
+// script scope, not on globalThis
+function pageGlobal(name) {
+  return vm.runInThisContext(name);
+}
+
+// ============================================================
+// SHADING (port of FRAGMENT_SHADER)
+// ============================================================
+
+function fract(x) {
+  return x - Math.floor(x);
+}
+
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
+
+function hash(x, y) {
+  return fract(Math.sin(x * 127.1 + y * 311.7) * 43758.5453123);
+}
+
+function noise(x, y) {
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  const fx = x - ix;
+  const fy = y - iy;
+  const a = hash(ix, iy);
+  const b = hash(ix + 1, iy);
+  const c = hash(ix, iy + 1);
+  const d = hash(ix + 1, iy + 1);
+  const ux = fx * fx * (3 - 2 * fx);
+  const uy = fy * fy * (3 - 2 * fy);
+  return a + (b - a) * ux + (c - a) * uy * (1 - ux) + (d - b) * ux * uy;
+}
+
+function fbm(x, y) {
+  let value = 0;
+  let amp = 0.5;
+  for (let i = 0; i < 4; i++) {
+    value += amp * noise(x, y);
+    x = x * 2.03 + 17.1;
+    y = y * 2.03 + 9.2;
+    amp *= 0.5;
+  }
+  return value;
+}
+
+function woodGrainFactor(position, normal, wood) {
+  const c = Math.cos(wood.angle);
+  const s = Math.sin(wood.angle);
+  const seed = wood.seed;
+
+  const bx = position[0] + wood.shift[0];
+  const by = position[2] + wood.shift[1];
+  const rx = (c * bx - s * by) * wood.scale;
+  const ry = (s * bx + c * by) * wood.scale;
+
+  const warp = fbm(rx * 0.85 + seed * 3.7, ry * 0.85 - seed * 2.9) * 0.40;
+  const lines = Math.sin(rx * 9.5 + warp * 3.6 + seed * 8.0);
+  const lineMask = smoothstep(-0.05, 0.95, lines);
+
+  const streak = fbm(rx * 2.1 + 6.4 + seed * 2.0, ry * 2.1 - 4.2);
+  const pores = noise(rx * 11.0 + seed * 5.3, ry * 11.0 + seed * 4.1) * 0.05;
+
+  // Face normals are axis-aligned unit vectors; grainDir is already unit length
+  const endFacing = Math.pow(Math.abs(normal[0] * c + normal[2] * s), 3);
+  const ex = rx + seed * 2.0;
+  const ey = ry - seed * 1.7;
+  const endRings = Math.sin(Math.hypot(ex, ey) * 17.0 + warp * 2.5);
+  const endMask = smoothstep(-0.10, 0.95, endRings) * endFacing * 0.06;
+
+  const grain = 0.96 + lineMask * 0.07 + streak * 0.03 + endMask - pores;
+  return 1 + (grain - 1) * wood.mix;
+}
+
+function createShader(lightDir1, lightDir2) {
+  const normalize3 = pageGlobal('normalize3');
+  const dot3 = pageGlobal('dot3');
+  const light1 = normalize3(lightDir1);
+  const light2 = normalize3(lightDir2);
+  const glow = [1.0, 0.93, 0.78];
+
+  return function shade(out, color, position, normal, eye, highlight, wood) {
+    const viewDir = normalize3([eye[0] - position[0], eye[1] - position[1], eye[2] - position[2]]);
+
+    const diff1 = Math.max(dot3(normal, light1), 0);
+    const diff2 = Math.max(dot3(normal, light2), 0) * 0.5;
+    const halfDir = normalize3([light1[0] + viewDir[0], light1[1] + viewDir[1], light1[2] + viewDir[2]]);
+    const spec = Math.pow(Math.max(dot3(normal, halfDir), 0), 64) * 0.15;
+    const rim = smoothstep(0.4, 1.0, 1 - Math.max(dot3(viewDir, normal), 0)) * 0.15;
+
+    const light = 0.4 + diff1 * 0.5 + diff2 * 0.25;
+    const grain = wood ? woodGrainFactor(position, normal, wood) : 1;
+
+    for (let i = 0; i < 3; i++) {
+      const value = (color[i] * light + spec + rim) * grain + glow[i] * highlight * 0.35;
+      out[i] = Math.min(1, Math.max(0, Math.pow(Math.max(value, 0), 0.95)));
+    }
+  };
+}
+
+// ============================================================
+// SOFTWARE PAINTER (Canvas2DCubePainter interface)
+// ============================================================
+
+// Collects cubes like Canvas2DCubePainter, but paint() scan-converts every
+// visible face into a depth-buffered float image with per-pixel shading
+class SoftwareCubePainter {
+  constructor(canvas, shade) {
+    this.canvas = canvas;
+    this.ctx = null;
+    this.highlight = 0;
+    this.wood = null;
+    this.useWoodGrain = false;
+    this.shade = shade;
+    this.pixels = null;
+    this._cubes = [];
+  }
+
+  beginFrame(view, projection, eye) {
+    this._view = view;
+    this._projection = projection;
+    this._eye = eye;
+    this._cubes = [];
+    this.highlight = 0;
+    this.wood = DEFAULT_WOOD;
+  }
+
+  addCubes(offsets, colors, count) {
+    const wood = this.useWoodGrain ? this.wood : null;
+    for (let i = 0; i < count * 3; i += 3) {
+      this._cubes.push({
+        offset: [offsets[i], offsets[i + 1], offsets[i + 2]],
+        color: [colors[i], colors[i + 1], colors[i + 2]],
+        highlight: this.highlight,
+        wood,
+      });
+    }
+  }
+
+  paint() {
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    this.pixels = new Float32Array(width * height * 3).fill(BACKGROUND);
+    this._depth = new Float32Array(width * height).fill(Infinity);
+
+    const faces = pageGlobal('CUBE_FACES');
+    const dot3 = pageGlobal('dot3');
+    const eye = this._eye;
+
+    for (const cube of this._cubes) {
+      const [x, y, z] = cube.offset;
+      for (const face of faces) {
+        const n = face.normal;
+        const center = [x + n[0] * 0.45, y + n[1] * 0.45, z + n[2] * 0.45];
+        if (dot3(n, [eye[0] - center[0], eye[1] - center[1], eye[2] - center[2]]) <= 0) continue;
+
+        const corners = face.corners.map(([cx, cy, cz]) => this._project([x + cx, y + cy, z + cz]));
+        if (corners.some((corner) => !corner)) continue;
+        this._fillTriangle(corners[0], corners[1], corners[2], n, cube);
+        this._fillTriangle(corners[0], corners[2], corners[3], n, cube);
+      }
+    }
+  }
+
+  // Screen position, NDC depth and 1/w for perspective-correct interpolation
+  _project(world) {
+    const v = this._view;
+    const p = this._projection;
+    const [x, y, z] = world;
+
+    const vx = v[0] * x + v[4] * y + v[8] * z + v[12];
+    const vy = v[1] * x + v[5] * y + v[9] * z + v[13];
+    const vz = v[2] * x + v[6] * y + v[10] * z + v[14];
+    const vw = v[3] * x + v[7] * y + v[11] * z + v[15];
+
+    const cx = p[0] * vx + p[4] * vy + p[8] * vz + p[12] * vw;
+    const cy = p[1] * vx + p[5] * vy + p[9] * vz + p[13] * vw;
+    const cz = p[2] * vx + p[6] * vy + p[10] * vz + p[14] * vw;
+    const cw = p[3] * vx + p[7] * vy + p[11] * vz + p[15] * vw;
+    if (cw <= 0.0001) return null;
+
+    return {
+      x: (cx / cw * 0.5 + 0.5) * this.canvas.width,
+      y: (1 - (cy / cw * 0.5 + 0.5)) * this.canvas.height,
+      z: cz / cw,
+      invW: 1 / cw,
+      world,
+    };
+  }
+
+  _fillTriangle(a, b, c, normal, cube) {
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    const area = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    if (Math.abs(area) < 1e-9) return;
+
+    const minX = Math.max(0, Math.floor(Math.min(a.x, b.x, c.x)));
+    const maxX = Math.min(width - 1, Math.ceil(Math.max(a.x, b.x, c.x)));
+    const minY = Math.max(0, Math.floor(Math.min(a.y, b.y, c.y)));
+    const maxY = Math.min(height - 1, Math.ceil(Math.max(a.y, b.y, c.y)));
+
+    const position = [0, 0, 0];
+    const rgb = [0, 0, 0];
+
+    for (let py = minY; py <= maxY; py++) {
+      const sy = py + 0.5;
+      for (let px = minX; px <= maxX; px++) {
+        const sx = px + 0.5;
+        const w0 = ((b.x - sx) * (c.y - sy) - (b.y - sy) * (c.x - sx)) / area;
+        const w1 = ((c.x - sx) * (a.y - sy) - (c.y - sy) * (a.x - sx)) / area;
+        const w2 = 1 - w0 - w1;
+        if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+
+        const depth = w0 * a.z + w1 * b.z + w2 * c.z;
+        const index = py * width + px;
+        if (depth >= this._depth[index]) continue;
+        this._depth[index] = depth;
+
+        const p0 = w0 * a.invW;
+        const p1 = w1 * b.invW;
+        const p2 = w2 * c.invW;
+        const sum = p0 + p1 + p2;
+        for (let i = 0; i < 3; i++) {
+          position[i] = (p0 * a.world[i] + p1 * b.world[i] + p2 * c.world[i]) / sum;
+        }
+
+        this.shade(rgb, cube.color, position, normal, this._eye, cube.highlight, cube.wood);
+        this.pixels[index * 3] = rgb[0];
+        this.pixels[index * 3 + 1] = rgb[1];
+        this.pixels[index * 3 + 2] = rgb[2];
+      }
+    }
+  }
+}
+
+// ============================================================
+// PNG OUTPUT
+// ============================================================
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// 8-bit RGB, no filtering; zlib does the rest
+function encodePNG(rgb, width, height) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 2;
+
+  const rows = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * (width * 3 + 1);
+    rgb.copy(rows, rowStart + 1, y * width * 3, (y + 1) * width * 3);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(rows, { level: 9 })),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// Box filter from the supersampled float image to 8-bit RGB
+function downsample(pixels, width, height, factor) {
+  const out = Buffer.alloc(width * height * 3);
+  const sourceWidth = width * factor;
+  const samples = factor * factor;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let i = 0; i < 3; i++) {
+        let sum = 0;
+        for (let sy = 0; sy < factor; sy++) {
+          for (let sx = 0; sx < factor; sx++) {
+            sum += pixels[((y * factor + sy) * sourceWidth + x * factor + sx) * 3 + i];
+          }
+        }
+        out[(y * width + x) * 3 + i] = Math.round((sum / samples) * 255);
+      }
+    }
+  }
+  return out;
+}
+
+// ============================================================
+// COMMAND LINE
+// ============================================================
+
+function parseArgs(argv) {
+  const args = { width: 1600, height: 800, supersample: 2, out: path.join(__dirname, '..', 'images') };
+  const numeric = {
+    '--width': 'width',
+    '--height': 'height',
+    '--supersample': 'supersample',
+    '--distance': 'distance',
+    '--rotation-x': 'rotationX',
+    '--rotation-y': 'rotationY',
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+    if (flag === '--help' || flag === '-h') {
+      args.help = true;
+    } else if (flag === '--only') {
+      args.only = value.split(',');
+      i++;
+    } else if (flag === '--out') {
+      args.out = path.resolve(value);
+      i++;
+    } else if (numeric[flag]) {
+      const number = Number(value);
+      if (!Number.isFinite(number)) throw new Error(`${flag} needs a number, got "${value}"`);
+      args[numeric[flag]] = number;
+      i++;
+    } else {
+      throw new Error(`Unknown option ${flag}`);
+    }
+  }
+  return args;
+}
+
+function renderFigure(name, figure, args, shade) {
+  const factor = Math.max(1, Math.round(args.supersample));
+  const canvas = createStubElement();
+  canvas.clientWidth = args.width * factor;
+  canvas.clientHeight = args.height * factor;
+  canvas.width = 0;
+  canvas.height = 0;
+
+  const painter = new SoftwareCubePainter(canvas, shade);
+  const options = { ...figure.options, scrollOrbit: false, painter };
+  if (figure.puzzle) options.puzzle = pageGlobal(figure.puzzle);
+  for (const key of ['distance', 'rotationX', 'rotationY']) {
+    if (args[key] !== undefined) options[key] = args[key];
+  }
+
+  const RendererClass = pageGlobal(figure.renderer);
+  const renderer = new RendererClass(canvas, options);
+  painter.useWoodGrain = renderer.useWoodGrain;
+  if (figure.setup) figure.setup(renderer);
+
+  renderer.draw(0);
+
+  const rgb = downsample(painter.pixels, args.width, args.height, factor);
+  const file = path.join(args.out, figure.file);
+  fs.writeFileSync(file, encodePNG(rgb, args.width, args.height));
+  console.log(`${name}: ${path.relative(process.cwd(), file)} (${args.width}x${args.height})`);
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log('Usage: node tools/render-fallbacks.js [--only names] [--width px] [--height px]');
+    console.log('  [--supersample n] [--distance d] [--rotation-x rad] [--rotation-y rad] [--out dir]');
+    console.log(`Figures: ${Object.keys(FIGURES).join(', ')}`);
+    return;
+  }
+
+  const names = args.only || Object.keys(FIGURES);
+  for (const name of names) {
+    if (!FIGURES[name]) throw new Error(`Unknown figure "${name}" (have ${Object.keys(FIGURES).join(', ')})`);
+  }
+
+  loadPageScripts();
+  const shade = createShader(pageGlobal('LIGHT_DIRECTION'), pageGlobal('LIGHT_DIRECTION_2'));
+  fs.mkdirSync(args.out, { recursive: true });
+
+  for (const name of names) {
+    renderFigure(name, FIGURES[name], args, shade);
+  }
+}
+
+main();